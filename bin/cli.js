@@ -1,169 +1,181 @@
 #!/usr/bin/env node
 
 const yargs = require('yargs/yargs');
-const { hideBin } = require('yargs/helpers');
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
-const { zipDirectory } = require('../lib/archive.js');
-const { createMasterZip } = require('../lib/archiveUtils.js');
-const { getApiClient, uploadFileDirectly } = require('../lib/apiClient.js');
+const { hideBin, Parser } = require('yargs/helpers');
+const packageJson = require('../package.json');
+const { getApiClient } = require('../lib/apiClient.js');
+const { getRetryPolicy } = require('../lib/retry.js');
 const { createLogger } = require('../lib/logger.js');
-const { AppError, ApiError } = require('../lib/errors.js');
-const { loadConfig } = require('../lib/config.js');
-const { captureScreenshots } = require('../lib/screencap.js');
-const { analyzeStorybook } = require('../lib/analysis.js');
-const { runInit } = require('../lib/init.js');
+const { AppError, ApiError, UsageError } = require('../lib/errors.js');
+const { loadConfig, resolveConfig } = require('../lib/config.js');
+const { CONFIG_SCHEMA } = require('../lib/configSchema.js');
+const { describeConfig, formatConfigTable } = require('../lib/configInspect.js');
+const { runDeployment, runAnalysis } = require('../lib/deploy.js');
+const { runProjectDeployments } = require('../lib/projects.js');
+const { runInit, DEFAULT_INIT_API_URL } = require('../lib/init.js');
+const { listDeployments, getDeployment, deleteDeployment, formatDeploymentsTable } = require('../lib/deployments.js');
+const { listAliases, getAliasHistory, promoteVersion, rollbackAlias, formatAliasesTable, formatAliasHistoryTable } = require('../lib/aliases.js');
+
+/**
+ * Keeps only the config values that were passed as flags on the command line.
+ * yargs also fills in STORYBOOK_DEPLOYER_* variables; leaving those to loadConfig keeps SCRY_* precedence
+ * and reports them as environment variables rather than flags. The arguments are parsed again with the
+ * command's options but without the environment, so aliases such as `-v` count as flags too.
+ * @param {object} argv The parsed arguments.
+ * @param {object} yargs The yargs instance of the command.
+ * @returns {object} The arguments without config values taken from the environment.
+ */
+function commandLineArgs(argv, yargs) {
+    const { alias, boolean, string, number, array } = yargs.getOptions();
+    const flags = Parser(hideBin(process.argv), { alias, boolean, string, number, array });
+
+    return Object.fromEntries(Object.entries(argv).filter(([key]) => !CONFIG_SCHEMA.properties[key] || flags[key] !== undefined));
+}
 
-async function runAnalysis(argv) {
+/**
+ * Prepares the logger, API client and request options for a command that talks to the deployment service.
+ * @param {object} argv The resolved configuration.
+ * @returns {{logger: object, apiClient: axios.AxiosInstance, options: object}} The command context.
+ */
+function createServiceContext(argv) {
     const logger = createLogger(argv);
-    logger.info('📊 Starting Storybook analysis...');
     logger.debug(`Received arguments: ${JSON.stringify(argv)}`);
 
-    const outPath = path.join(os.tmpdir(), `storybook-analysis-${Date.now()}.zip`);
+    if (!argv.project) {
+        throw new UsageError('--project is required. You can provide it via CLI arguments, config file, or environment variables.');
+    }
 
-    try {
-        // 1. Capture screenshots if storybook URL provided
-        if (argv.storybookUrl) {
-            logger.info(`1/4: Capturing screenshots from '${argv.storybookUrl}'...`);
-            await captureScreenshots(argv.storybookUrl, argv.storycapOptions || {});
-            logger.success('✅ Screenshots captured');
+    return {
+        logger,
+        apiClient: getApiClient(argv.apiUrl, argv.apiKey),
+        options: { logger, retry: getRetryPolicy(argv) },
+    };
+}
+
+async function runDeploymentsCommand(action, argv) {
+    const { logger, apiClient, options } = createServiceContext(argv);
+
+    if (action === 'list') {
+        const deployments = await listDeployments(apiClient, argv.project, options);
+        if (deployments.length === 0) {
+            logger.info(`No deployments found for project '${argv.project}'.`);
         } else {
-            logger.info('1/4: Skipping screenshot capture (no Storybook URL provided)');
+            logger.info(formatDeploymentsTable(deployments));
         }
+        return { project: argv.project, deployments };
+    }
 
-        // 2. Analyze stories and map screenshots
-        logger.info('2/4: Analyzing stories and mapping screenshots...');
-        const analysisResults = analyzeStorybook({
-            storiesDir: argv.storiesDir,
-            screenshotsDir: argv.screenshotsDir,
-            project: argv.project,
-            version: argv.version
-        });
-        logger.success(`✅ Found ${analysisResults.summary.totalStories} stories (${analysisResults.summary.withScreenshots} with screenshots)`);
-        logger.debug(`Analysis complete: ${JSON.stringify(analysisResults.summary)}`);
-
-        // 3. Create master ZIP
-        logger.info('3/4: Creating master archive...');
-        await createMasterZip({
-            outPath: outPath,
-            staticsiteDir: null, // No static site for analyze-only
-            screenshotsDir: argv.screenshotsDir,
-            metadata: analysisResults
-        });
-        logger.success(`✅ Master archive created: ${outPath}`);
-        logger.debug(`Archive size: ${fs.statSync(outPath).size} bytes`);
+    if (action === 'show') {
+        const deployment = await getDeployment(apiClient, argv.project, argv.deployment, options);
+        logger.info(formatDeploymentsTable([deployment]));
+        if (deployment.url) {
+            logger.info(`\n🌐 ${deployment.url}`);
+        }
+        return { project: argv.project, version: deployment.version, deployment };
+    }
 
-        // 4. Upload archive
-        logger.info('4/4: Uploading to deployment service...');
-        const apiClient = getApiClient(argv.apiUrl, argv.apiKey);
-        const uploadResult = await uploadFileDirectly(apiClient, {
-            project: argv.project,
-            version: argv.version,
-        }, outPath);
-        logger.success('✅ Archive uploaded.');
-        logger.debug(`Upload result: ${JSON.stringify(uploadResult)}`);
+    const result = await deleteDeployment(apiClient, argv.project, argv.deployment, options);
+    logger.success(`🗑️  Deleted deployment '${argv.deployment}' of project '${argv.project}'.`);
+    return result;
+}
 
-        logger.success('\n🎉 Analysis complete! 🎉');
+async function runAliasCommand(action, argv) {
+    const { logger, apiClient, options } = createServiceContext(argv);
+
+    if (action === 'promote' || action === 'rollback') {
+        const result = action === 'promote'
+            ? await promoteVersion(apiClient, argv.project, argv.deployment, argv.to, options)
+            : await rollbackAlias(apiClient, argv.project, argv.alias, options);
+        const from = result.previousVersion ? ` (was '${result.previousVersion}')` : '';
+        const verb = action === 'promote' ? 'Promoted' : 'Rolled back';
+        logger.success(`🔀 ${verb} '${result.alias}' to '${result.version}'${from}.`);
+        return result;
+    }
 
-    } finally {
-        // Clean up the local archive
-        if (fs.existsSync(outPath)) {
-            fs.unlinkSync(outPath);
-            logger.info(`🧹 Cleaned up temporary file: ${outPath}`);
+    if (action === 'list') {
+        const aliases = await listAliases(apiClient, argv.project, options);
+        if (aliases.length === 0) {
+            logger.info(`No aliases found for project '${argv.project}'.`);
+        } else {
+            logger.info(formatAliasesTable(aliases));
         }
+        return { project: argv.project, aliases };
     }
-}
-
-async function runDeployment(argv) {
-    const logger = createLogger(argv);
-    logger.info('🚀 Starting deployment...');
-    logger.debug(`Received arguments: ${JSON.stringify(argv)}`);
 
-    const outPath = path.join(os.tmpdir(), `storybook-deployment-${Date.now()}.zip`);
+    const history = await getAliasHistory(apiClient, argv.project, argv.alias, options);
+    if (history.length === 0) {
+        logger.info(`Alias '${argv.alias}' has no history.`);
+    } else {
+        logger.info(formatAliasHistoryTable(history));
+    }
+    return { project: argv.project, alias: argv.alias, history };
+}
 
-    try {
-        if (argv.withAnalysis) {
-            // Full deployment with analysis
-            logger.info('Running deployment with analysis...');
-
-            // 1. Capture screenshots if storybook URL provided
-            if (argv.storybookUrl) {
-                logger.info(`1/5: Capturing screenshots from '${argv.storybookUrl}'...`);
-                await captureScreenshots(argv.storybookUrl, argv.storycapOptions || {});
-                logger.success('✅ Screenshots captured');
-            } else {
-                logger.info('1/5: Skipping screenshot capture (no Storybook URL provided)');
-            }
-
-            // 2. Analyze stories and map screenshots
-            logger.info('2/5: Analyzing stories and mapping screenshots...');
-            const analysisResults = analyzeStorybook({
-                storiesDir: argv.storiesDir,
-                screenshotsDir: argv.screenshotsDir,
-                project: argv.project,
-                version: argv.version
-            });
-            logger.success(`✅ Found ${analysisResults.summary.totalStories} stories (${analysisResults.summary.withScreenshots} with screenshots)`);
-
-            // 3. Create master ZIP with staticsite, images, and metadata
-            logger.info('3/5: Creating master archive with static site, images, and metadata...');
-            await createMasterZip({
-                outPath: outPath,
-                staticsiteDir: argv.dir,
-                screenshotsDir: argv.screenshotsDir,
-                metadata: analysisResults
-            });
-            logger.success(`✅ Master archive created: ${outPath}`);
-            logger.debug(`Archive size: ${fs.statSync(outPath).size} bytes`);
-
-            // 4. Upload archive
-            logger.info('4/5: Uploading to deployment service...');
-            const apiClient = getApiClient(argv.apiUrl, argv.apiKey);
-            const uploadResult = await uploadFileDirectly(apiClient, {
-                project: argv.project,
-                version: argv.version,
-            }, outPath);
-            logger.success('✅ Archive uploaded.');
-            logger.debug(`Upload result: ${JSON.stringify(uploadResult)}`);
-
-            logger.success('\n🎉 Deployment with analysis successful! 🎉');
+async function runConfigCommand(action, resolved) {
+    const logger = createLogger(resolved.config);
 
-        } else {
-            // Simple deployment without analysis
-            // 1. Archive the directory
-            logger.info(`1/3: Zipping directory '${argv.dir}'...`);
-            await zipDirectory(argv.dir, outPath);
-            logger.success(`✅ Archive created: ${outPath}`);
-            logger.debug(`Archive size: ${fs.statSync(outPath).size} bytes`);
-
-            // 2. Authenticate and upload directly
-            logger.info('2/3: Uploading to deployment service...');
-            const apiClient = getApiClient(argv.apiUrl, argv.apiKey);
-            const uploadResult = await uploadFileDirectly(apiClient, {
-                project: argv.project,
-                version: argv.version,
-            }, outPath);
-            logger.success('✅ Archive uploaded.');
-            logger.debug(`Upload result: ${JSON.stringify(uploadResult)}`);
-
-            logger.success('\n🎉 Deployment successful! 🎉');
+    if (action === 'show') {
+        const entries = describeConfig(resolved);
+        logger.info(formatConfigTable(entries));
+        if (resolved.profiles.length > 0) {
+            logger.info(`\nProfiles: ${resolved.profiles.join(', ')}`);
         }
-
-    } finally {
-        // 4. Clean up the local archive
-        if (fs.existsSync(outPath)) {
-            fs.unlinkSync(outPath);
-            logger.info(`🧹 Cleaned up temporary file: ${outPath}`);
+        if (resolved.config.projects) {
+            logger.info(`\nProjects: ${resolved.config.projects.map(project => project.name || project.project || project.dir).join(', ')}`);
         }
+        return { configFile: resolved.configFile, profiles: resolved.profiles, options: entries };
+    }
+
+    logger.success(`✅ Configuration is valid${resolved.configFile ? ` (${resolved.configFile})` : ''}.`);
+    return { configFile: resolved.configFile, valid: true };
+}
+
+/**
+ * Runs a command and, in JSON mode, prints its result as a single object on stdout.
+ * @param {string} command The command name reported in the result.
+ * @param {object} argv The resolved configuration.
+ * @param {function(object): Promise<object>} run The command implementation.
+ */
+async function runCommand(command, argv, run) {
+    const startedAt = Date.now();
+    const result = await run(argv) || {};
+
+    if (argv.json) {
+        console.log(JSON.stringify({
+            status: 'success',
+            command,
+            ...result,
+            timings: { ...result.timings, totalMs: Date.now() - startedAt },
+        }, null, 2));
     }
 }
 
-function handleError(error, argv) {
+function handleError(error, argv, command) {
+    if (argv && argv.json) {
+        console.log(JSON.stringify({
+            status: 'error',
+            command: command || null,
+            project: argv.project,
+            version: argv.version,
+            error: {
+                code: error instanceof AppError ? error.code : 'UNEXPECTED_ERROR',
+                message: error.message,
+                statusCode: error.statusCode,
+                attempts: error.attempts,
+                issues: error.issues,
+            },
+            projects: error.projects,
+        }, null, 2));
+        process.exit(1);
+    }
+
     const logger = createLogger(argv || {});
     logger.error(`\n❌ Error: ${error.message}`);
 
     if (error instanceof ApiError) {
+        if (error.attempts > 1) {
+            logger.error(`Gave up after ${error.attempts} attempts.`);
+        }
         if (error.statusCode === 401) {
             logger.error('Suggestion: Check that your API key is correct and has not expired.');
         } else if (error.statusCode >= 500) {
@@ -178,8 +190,48 @@ function handleError(error, argv) {
     process.exit(1);
 }
 
+/**
+ * Adds the options shared by commands that only talk to the deployment service.
+ * @param {object} yargs The yargs instance of the command.
+ * @returns {object} The yargs instance.
+ */
+function withServiceOptions(yargs) {
+    return yargs
+        .option('project', {
+            describe: 'Project name/identifier',
+            type: 'string',
+        })
+        .option('api-key', {
+            describe: 'API key for the deployment service',
+            type: 'string',
+        })
+        .option('api-url', {
+            describe: 'Base URL for the deployment service API',
+            type: 'string',
+        })
+        .option('profile', {
+            describe: 'Name of the config file profile to apply (e.g., staging)',
+            type: 'string',
+        })
+        .option('json', {
+            describe: 'Print a machine-readable JSON result',
+            type: 'boolean',
+        })
+        .option('verbose', {
+            describe: 'Enable verbose logging',
+            type: 'boolean',
+        });
+}
+
 async function main() {
     let config;
+    let command;
+    let commandYargs;
+    // Checked before parsing so it also works for commands with missing positionals
+    if (hideBin(process.argv).includes('--cli-version')) {
+        console.log(packageJson.version);
+        return;
+    }
     try {
         const args = await yargs(hideBin(process.argv))
             .command('$0', 'Deploy Storybook static build', (yargs) => {
@@ -203,6 +255,15 @@ async function main() {
                     .option('version', {
                         describe: 'Version identifier for the deployment',
                         type: 'string',
+                        alias: 'v',
+                    })
+                    .option('version-template', {
+                        describe: 'Template for the inferred version (e.g., "{branch}-{shortSha}"); repeat to add fallbacks',
+                        type: 'string',
+                    })
+                    .option('version-max-length', {
+                        describe: 'Maximum length of an inferred version (default: 63)',
+                        type: 'number',
                     })
                     .option('with-analysis', {
                         describe: 'Include Storybook analysis (screenshots, metadata)',
@@ -216,35 +277,93 @@ async function main() {
                         describe: 'Directory containing story files',
                         type: 'string',
                     })
+                    .option('story-source', {
+                        describe: "Where to list stories from: the build's index.json, the story files, or auto (the index if there is one)",
+                        type: 'string',
+                        choices: ['auto', 'index', 'source'],
+                    })
+                    .option('component-docs', {
+                        describe: 'Extract the props of documented components (--no-component-docs skips it)',
+                        type: 'boolean',
+                    })
                     .option('screenshots-dir', {
                         describe: 'Directory for screenshots',
                         type: 'string',
                     })
+                    .option('incremental', {
+                        describe: 'Upload only files the deployment service does not have yet',
+                        type: 'boolean',
+                    })
+                    .option('stream', {
+                        describe: 'Stream the archive into the upload instead of writing a temporary zip',
+                        type: 'boolean',
+                    })
+                    .option('multipart', {
+                        describe: 'Upload the archive in resumable parts',
+                        type: 'boolean',
+                    })
+                    .option('part-size', {
+                        describe: 'Part size in MiB for multipart uploads (minimum 5)',
+                        type: 'number',
+                    })
+                    .option('retry-attempts', {
+                        describe: 'Maximum attempts for API and upload requests (1 disables retries)',
+                        type: 'number',
+                    })
+                    .option('dry-run', {
+                        describe: 'Build the archive and show what would be uploaded, without uploading',
+                        type: 'boolean',
+                    })
+                    .option('keep-archive', {
+                        describe: 'Keep the built archive on disk instead of deleting it',
+                        type: 'boolean',
+                    })
+                    .option('discover-projects', {
+                        describe: 'Deploy every workspace package that has a built Storybook',
+                        type: 'boolean',
+                    })
+                    .option('concurrency', {
+                        describe: 'Maximum projects deployed at the same time in monorepo mode (default: 2)',
+                        type: 'number',
+                    })
+                    .option('affected', {
+                        describe: 'Only deploy Storybooks changed since the pull request target branch',
+                        type: 'boolean',
+                    })
+                    .option('since', {
+                        describe: 'Only deploy Storybooks changed since this git ref (e.g., origin/main)',
+                        type: 'string',
+                    })
+                    .option('base-version', {
+                        describe: 'Deployed version that unchanged Storybooks are aliased to (default: the base branch)',
+                        type: 'string',
+                    })
+                    .option('profile', {
+                        describe: 'Name of the config file profile to apply (e.g., staging)',
+                        type: 'string',
+                    })
+                    .option('json', {
+                        describe: 'Print a machine-readable JSON result',
+                        type: 'boolean',
+                    })
                     .option('verbose', {
                         describe: 'Enable verbose logging',
                         type: 'boolean',
                     });
             }, async (argv) => {
+                command = 'deploy';
                 // Load and merge configuration
-                config = loadConfig(argv);
-
-                // Validate required fields
-                if (!config.dir) {
-                    throw new Error('--dir is required. You can provide it via CLI arguments, config file, or environment variables.');
-                }
-
-                // Validate directory exists and is valid
-                if (!fs.existsSync(config.dir)) {
-                    throw new Error(`Directory not found at path: ${config.dir}`);
-                }
-                if (!fs.lstatSync(config.dir).isDirectory()) {
-                    throw new Error(`Path is not a directory: ${config.dir}`);
-                }
-
-                await runDeployment(config);
+                config = loadConfig(commandLineArgs(argv, commandYargs));
+                // Monorepo mode deploys each configured or discovered Storybook
+                const monorepo = Boolean(config.projects || config.discoverProjects);
+                await runCommand(command, config, monorepo ? runProjectDeployments : runDeployment);
             })
             .command('analyze', 'Analyze Storybook stories and generate metadata', (yargs) => {
                 return yargs
+                    .option('dir', {
+                        describe: 'Path to the built Storybook directory, read for its story index (e.g., storybook-static)',
+                        type: 'string',
+                    })
                     .option('project', {
                         describe: 'Project name/identifier',
                         type: 'string',
@@ -254,6 +373,7 @@ async function main() {
                         describe: 'Version identifier',
                         type: 'string',
                         demandOption: true,
+                        alias: 'v',
                     })
                     .option('api-key', {
                         describe: 'API key for the deployment service',
@@ -271,19 +391,136 @@ async function main() {
                         describe: 'Directory containing story files',
                         type: 'string',
                     })
+                    .option('story-source', {
+                        describe: "Where to list stories from: the build's index.json, the story files, or auto (the index if there is one)",
+                        type: 'string',
+                        choices: ['auto', 'index', 'source'],
+                    })
+                    .option('component-docs', {
+                        describe: 'Extract the props of documented components (--no-component-docs skips it)',
+                        type: 'boolean',
+                    })
                     .option('screenshots-dir', {
                         describe: 'Directory for screenshots',
                         type: 'string',
                     })
+                    .option('incremental', {
+                        describe: 'Upload only files the deployment service does not have yet',
+                        type: 'boolean',
+                    })
+                    .option('stream', {
+                        describe: 'Stream the archive into the upload instead of writing a temporary zip',
+                        type: 'boolean',
+                    })
+                    .option('multipart', {
+                        describe: 'Upload the archive in resumable parts',
+                        type: 'boolean',
+                    })
+                    .option('part-size', {
+                        describe: 'Part size in MiB for multipart uploads (minimum 5)',
+                        type: 'number',
+                    })
+                    .option('retry-attempts', {
+                        describe: 'Maximum attempts for API and upload requests (1 disables retries)',
+                        type: 'number',
+                    })
+                    .option('dry-run', {
+                        describe: 'Build the archive and show what would be uploaded, without uploading',
+                        type: 'boolean',
+                    })
+                    .option('keep-archive', {
+                        describe: 'Keep the built archive on disk instead of deleting it',
+                        type: 'boolean',
+                    })
+                    .option('profile', {
+                        describe: 'Name of the config file profile to apply (e.g., staging)',
+                        type: 'string',
+                    })
+                    .option('json', {
+                        describe: 'Print a machine-readable JSON result',
+                        type: 'boolean',
+                    })
                     .option('verbose', {
                         describe: 'Enable verbose logging',
                         type: 'boolean',
                     });
             }, async (argv) => {
+                command = 'analyze';
                 // Load and merge configuration
-                config = loadConfig(argv);
+                config = loadConfig(commandLineArgs(argv, commandYargs));
+                await runCommand(command, config, runAnalysis);
+            })
+            .command('deployments', 'List, inspect and delete deployed versions', (yargs) => {
+                const withDeployment = (yargs) => yargs.positional('deployment', {
+                    describe: 'Version identifier of the deployment (e.g., pr-17)',
+                    type: 'string',
+                });
+                const handler = (action) => async (argv) => {
+                    command = `deployments ${action}`;
+                    config = loadConfig(commandLineArgs(argv, commandYargs));
+                    await runCommand(command, config, (argv) => runDeploymentsCommand(action, argv));
+                };
+
+                return withServiceOptions(yargs)
+                    .command('list', 'List deployed versions', () => {}, handler('list'))
+                    .command('show <deployment>', 'Show details of a deployed version', withDeployment, handler('show'))
+                    .command('delete <deployment>', 'Delete a deployed version', withDeployment, handler('delete'))
+                    .demandCommand(1, 'Specify a deployments command: list, show or delete');
+            })
+            .command('promote <deployment>', 'Point an alias at an already deployed version', (yargs) => {
+                return withServiceOptions(yargs)
+                    .positional('deployment', {
+                        describe: 'Version identifier of the deployment to promote (e.g., pr-42)',
+                        type: 'string',
+                    })
+                    .option('to', {
+                        describe: 'Alias to point at the version (e.g., production)',
+                        type: 'string',
+                        demandOption: true,
+                    });
+            }, async (argv) => {
+                command = 'promote';
+                config = loadConfig(commandLineArgs(argv, commandYargs));
+                await runCommand(command, config, (argv) => runAliasCommand('promote', argv));
+            })
+            .command('rollback <alias>', 'Point an alias back at its previous version', (yargs) => {
+                return withServiceOptions(yargs)
+                    .positional('alias', {
+                        describe: 'Alias to roll back (e.g., production)',
+                        type: 'string',
+                    });
+            }, async (argv) => {
+                command = 'rollback';
+                config = loadConfig(commandLineArgs(argv, commandYargs));
+                await runCommand(command, config, (argv) => runAliasCommand('rollback', argv));
+            })
+            .command('aliases', 'List aliases and their promotion history', (yargs) => {
+                const handler = (action) => async (argv) => {
+                    command = `aliases ${action}`;
+                    config = loadConfig(commandLineArgs(argv, commandYargs));
+                    await runCommand(command, config, (argv) => runAliasCommand(action, argv));
+                };
+
+                return withServiceOptions(yargs)
+                    .command('list', 'List aliases and the versions they point to', () => {}, handler('list'))
+                    .command('history <alias>', 'Show the versions an alias has pointed to', (yargs) => yargs.positional('alias', {
+                        describe: 'Alias name (e.g., production)',
+                        type: 'string',
+                    }), handler('history'))
+                    .demandCommand(1, 'Specify an aliases command: list or history');
+            })
+            .command('config', 'Inspect and validate the resolved configuration', (yargs) => {
+                const handler = (action) => async (argv) => {
+                    command = `config ${action}`;
+                    const resolved = resolveConfig(commandLineArgs(argv, commandYargs));
+                    config = resolved.config;
+                    await runCommand(command, config, () => runConfigCommand(action, resolved));
+                };
 
-                await runAnalysis(config);
+                return withServiceOptions(yargs)
+                    .command('show', 'Print each effective value and the source it came from', () => {}, handler('show'))
+                    .command('validate', 'Check the configuration against the schema', () => {}, handler('validate'))
+                    .demandCommand(1, 'Specify a config command: show or validate');
             })
             .command('init', 'Setup GitHub Actions workflows for automatic deployment', (yargs) => {
                 return yargs
@@ -302,7 +539,7 @@ async function main() {
                     .option('api-url', {
                         describe: 'Scry API URL',
                         type: 'string',
-                        default: 'https://storybook-deployment-service.epinnock.workers.dev',
+                        default: DEFAULT_INIT_API_URL,
                         alias: 'apiUrl'
                     })
                     .option('skip-gh-setup', {
@@ -317,6 +554,11 @@ async function main() {
                         default: true,
                         alias: 'commitApiKey'
                     })
+                    .option('json', {
+                        describe: 'Print a machine-readable JSON result',
+                        type: 'boolean',
+                        default: false
+                    })
                     .option('verbose', {
                         describe: 'Enable verbose logging',
                         type: 'boolean',
@@ -330,20 +572,49 @@ async function main() {
                     apiUrl: argv.apiUrl,
                     skipGhSetup: argv.skipGhSetup,
                     commitApiKey: argv.commitApiKey,
-                    verbose: argv.verbose
+                    verbose: argv.verbose,
+                    json: argv.json
                 };
 
-                await runInit(initConfig);
+                config = initConfig;
+                command = 'init';
+                await runCommand(command, initConfig, runInit);
+            })
+            .middleware((argv, yargs) => {
+                // Make --json and --verbose available to handleError for usage errors
+                config = argv;
+                commandYargs = yargs;
+            }, true)
+            .middleware((argv) => {
+                // -v used to print the CLI version; it now sets the deployment version and needs a value
+                const rawArgs = hideBin(process.argv);
+                if (argv.version === '' && (rawArgs.includes('-v') || rawArgs.includes('--version'))) {
+                    throw new UsageError('--version (-v) needs a value. Use --cli-version to print the version of storybook-deploy.');
+                }
+            }, true)
+            .fail((message, error, yargs) => {
+                if (error) {
+                    throw error;
+                }
+                if (!(config && config.json)) {
+                    yargs.showHelp();
+                }
+                throw new UsageError(message);
+            })
+            .option('cli-version', {
+                describe: 'Show the version of storybook-deploy',
+                type: 'boolean',
+                global: true,
             })
             .env('STORYBOOK_DEPLOYER')
             .help()
             .alias('help', 'h')
-            .version()
-            .alias('version', 'v')
+            // --version is the deployment version, not yargs' built-in flag; --cli-version replaces it
+            .version(false)
             .parse();
 
     } catch (error) {
-        handleError(error, config);
+        handleError(error, config, command);
     }
 }
 
@@ -0,0 +1,489 @@
+// Type definitions for the storybook deployer configuration, metadata.json and programmatic API.
+
+/**
+ * Options passed to storycap when capturing screenshots.
+ */
+export interface StorycapOptions {
+  chromiumPath?: string;
+  outDir?: string;
+  parallel?: number;
+  delay?: number;
+  include?: string;
+  exclude?: string;
+  omitBackground?: boolean;
+}
+
+/**
+ * The fully resolved configuration (see DEFAULT_CONFIG for the default values).
+ */
+export interface DeployerConfig {
+  apiUrl: string;
+  verbose: boolean;
+  /** Print a single machine-readable result instead of log output (CLI only). */
+  json: boolean;
+  apiKey: string;
+  /** Path to the built Storybook directory. */
+  dir: string;
+  project: string;
+  version: string;
+  /**
+   * Template(s) for the version inferred on CI or from git, e.g. `"{branch}-{shortSha}"` or `"v{tag|semver-major}"`.
+   * The first template whose placeholders all resolve wins; null uses `pr-{pr}`, `{tag}`, `{branch}`, `{shortSha}`.
+   */
+  versionTemplate: string | string[] | null;
+  /** Maximum length of an inferred version (minimum 16); longer versions are shortened with a hash suffix. */
+  versionMaxLength: number;
+  /** Name of the profile applied on top of the base config, or null. */
+  profile: string | null;
+  /** Upload only files the deployment service does not have yet. */
+  incremental: boolean;
+  /** Stream the archive into the upload instead of writing a temporary zip. */
+  stream: boolean;
+  /** Upload the archive in resumable parts. */
+  multipart: boolean;
+  /** Part size in MiB for multipart uploads (minimum 5). */
+  partSize: number;
+  retryAttempts: number;
+  /** Delay in milliseconds before the first retry, doubled after each attempt. */
+  retryBaseDelay: number;
+  /** Upper bound in milliseconds for the delay between retries. */
+  retryMaxDelay: number;
+  retryJitter: boolean;
+  /** Build the archive and describe it without uploading. */
+  dryRun: boolean;
+  /** Keep the built archive on disk instead of deleting it. */
+  keepArchive: boolean;
+  withAnalysis: boolean;
+  /** Directory containing story files; null enables auto-detection. */
+  storiesDir: string | null;
+  /**
+   * Where the analysis lists stories from: the built Storybook's index.json (`index`), the story files (`source`),
+   * or the index if `dir` has one (`auto`).
+   */
+  storySource: 'auto' | 'index' | 'source';
+  /** Extract the props of the components stories document into metadata.json. */
+  componentDocs: boolean;
+  screenshotsDir: string;
+  storybookUrl: string;
+  storycapOptions: StorycapOptions;
+  /** Storybooks deployed in one run (monorepo mode), or null to deploy `dir` only. */
+  projects: ProjectConfig[] | null;
+  /** Deploy every workspace package that has a built Storybook at `dir`. */
+  discoverProjects: boolean;
+  /** Maximum projects deployed at the same time in monorepo mode. */
+  concurrency: number;
+  /** Only deploy Storybooks changed since the pull request's target branch. */
+  affected: boolean;
+  /** Git ref to compare with; only Storybooks changed since it are deployed. */
+  since: string | null;
+  /** Deployed version that unchanged Storybooks are aliased to; null uses the base branch name. */
+  baseVersion: string | null;
+}
+
+/**
+ * Options that apply to the whole run and cannot be set per project.
+ */
+type RunOption =
+  | 'json' | 'verbose' | 'versionTemplate' | 'versionMaxLength' | 'discoverProjects' | 'concurrency'
+  | 'affected' | 'since' | 'baseVersion' | 'profile' | 'projects';
+
+/**
+ * A Storybook deployed in monorepo mode; its options override the shared configuration.
+ */
+export type ProjectConfig = Partial<Omit<DeployerConfig, RunOption>> & {
+  /** Path to the built Storybook directory. */
+  dir: string;
+  /** Project ID; required so that projects do not overwrite each other's deployments. */
+  project: string;
+  /** Name used in logs and the summary (default: project, then dir). */
+  name?: string;
+  /** Directory whose changes affect the project with `affected` or `since` (default: the parent of dir). */
+  root?: string;
+};
+
+/**
+ * The contents of a config file (`.storybook-deployer.json`, `.storybook-deployer.yml`, the default export of
+ * `storybook-deploy.config.{js,mjs,ts}` or the `storybookDeployer` key in package.json); every key is optional.
+ */
+export type DeployerConfigFile = Partial<DeployerConfig> & {
+  /** Optional schema reference for editor support. */
+  $schema?: string;
+  /** Named sets of options that extend the base config, selected with `profile`. */
+  profiles?: Record<string, Partial<Omit<DeployerConfig, 'profile' | 'projects'>>>;
+};
+
+export const DEFAULT_CONFIG: DeployerConfig;
+
+/**
+ * JSON Schema (draft-07) the merged configuration is validated against.
+ */
+export const CONFIG_SCHEMA: Record<string, unknown>;
+
+export interface LoadConfigOptions {
+  /**
+   * Where `cliArgs` came from: 'cli' for parsed command-line arguments (unknown keys are ignored)
+   * or 'option' for programmatic options (unknown keys are reported). Defaults to 'cli'.
+   */
+  argsSource?: 'cli' | 'option';
+}
+
+/**
+ * Resolves the configuration from CLI-style options, the GitHub Actions context,
+ * environment variables, the config file and the defaults, in that order of precedence.
+ * @throws {ConfigError} If the config file cannot be read or a value does not match the schema.
+ */
+export function loadConfig(
+  cliArgs?: Partial<DeployerConfig> & Record<string, unknown>,
+  options?: LoadConfigOptions
+): DeployerConfig;
+
+/**
+ * Line range of a story export in its source file (1-based, inclusive).
+ */
+export interface StoryLocation {
+  startLine: number;
+  endLine: number;
+}
+
+/**
+ * A value in a story file that could not be evaluated statically, such as `fn()` or a render function,
+ * kept as its source text (truncated to 200 characters).
+ */
+export interface ExpressionValue {
+  $expression: string;
+}
+
+/** A story annotation value: JSON, with expressions where the source was not static. */
+export type StaticValue = string | number | boolean | null | ExpressionValue | StaticValue[] | { [key: string]: StaticValue };
+
+/**
+ * A story shown by an MDX docs page, through `of` (`<Canvas of={ButtonStories.Primary} />`) or an ID.
+ */
+export type DocsReference =
+  | {
+      /** The CSF file, or null if the import could not be resolved. */
+      filepath: string | null;
+      /** The story's export name; null when the block shows the whole file (e.g., `<Controls of={ButtonStories} />`). */
+      testName: string | null;
+      block: string;
+      line: number;
+    }
+  | { id: string; block: string; line: number };
+
+/**
+ * A single story or docs page found by the analysis, mapped to its screenshot.
+ */
+export interface AnalyzedStory {
+  /** `story` for CSF and storiesOf stories; `docs` for MDX pages and, from index.json, autodocs pages. */
+  kind: 'story' | 'docs';
+  /** Story ID from the story index (e.g., "example-button--primary"); stories scanned from source have none. */
+  id?: string;
+  /** The story file, or null for an indexed story whose file was not found. */
+  filepath: string | null;
+  /** Path of the story file as recorded in the story index. */
+  importPath?: string | null;
+  /** The meta's `component`, else the first PascalCase relative import; null if neither is found. */
+  componentName: string | null;
+  /** The component's source file, resolved from its import, or null if it is not imported from a relative path. */
+  componentPath?: string | null;
+  storyTitle: string | null;
+  /** Display name from the story index (e.g., "Logged In"). */
+  storyName?: string;
+  /** The story's export name, its storiesOf name, or the docs page name ("Docs" unless `<Meta name>` sets one). */
+  testName: string;
+  /**
+   * Tags from index.json, as resolved by Storybook; otherwise the meta's and the story's tags as declared,
+   * including negations such as `!test`.
+   */
+  tags?: StaticValue;
+  /** The meta's args with the story's on top. Missing when an indexed story was not found in its file. */
+  args?: StaticValue;
+  /** The meta's argTypes merged field by field with the story's. */
+  argTypes?: StaticValue;
+  /** The meta's parameters deep-merged with the story's (e.g., layout, viewport, backgrounds). */
+  parameters?: StaticValue;
+  /** Whether the story or its meta defines a play function. */
+  play?: boolean;
+  /** Docs pages: the CSF file the page is attached to with `<Meta of>`, or the story file of an autodocs page. */
+  attachedTo?: string | null;
+  /** Docs pages: the stories the page shows. */
+  references?: DocsReference[];
+  /** Docs pages: the Markdown headings, outside code blocks. */
+  headings?: Array<{ depth: number; text: string; line: number }>;
+  /**
+   * Lines of the story's declaration, including CSF2 assignments such as `Primary.args = {...}`.
+   * Null for an indexed story that was not found in its file.
+   */
+  location: StoryLocation | null;
+  /** For stories re-exported from another module (`export { Large } from './Button.shared'`), that module. */
+  reexportedFrom?: string;
+  /** Path of the matching screenshot, or null if none was captured. */
+  screenshotPath: string | null;
+  /** With `affected` or `since`: whether the story file changed since the base ref. */
+  changed?: boolean;
+}
+
+export interface ComponentProp {
+  name: string;
+  /** The type as written, e.g. `"small" | "medium"` or `() => void`. */
+  type: string | null;
+  required: boolean;
+  /** The default value as source text (e.g., "false"), or null. */
+  defaultValue: string | null;
+  /** The prop's JSDoc description. */
+  description: string;
+}
+
+/**
+ * The API of a component that stories document, extracted with react-docgen-typescript or vue-docgen-api.
+ */
+export interface ComponentDocs {
+  /** The component name as used in the story files. */
+  name: string;
+  /** The component's source file (see AnalyzedStory.componentPath). */
+  filepath: string;
+  framework: 'react' | 'vue';
+  displayName: string;
+  description: string;
+  /** Props declared in the project; props inherited from packages, such as HTML attributes, are left out. */
+  props: ComponentProp[];
+}
+
+/**
+ * SHA-256 digests of every other file in the archive, keyed by archive path.
+ */
+export interface IntegrityManifest {
+  algorithm: 'sha256';
+  files: Record<string, string>;
+}
+
+export type CiProvider = 'github' | 'gitlab' | 'circleci' | 'bitbucket' | 'azure' | 'jenkins' | 'buildkite';
+
+/**
+ * The CI build a deployment was made from, normalized across providers.
+ */
+export interface CiBuild {
+  provider: CiProvider;
+  /** Display name of the provider (e.g., "GitLab CI"). */
+  name: string;
+  /** Pull request or merge request number. */
+  prNumber: number | null;
+  branch: string | null;
+  tag: string | null;
+  commitSha: string | null;
+  /** Target branch of the pull request. */
+  baseBranch: string | null;
+  buildUrl: string | null;
+}
+
+/**
+ * The result of analyzeStorybook, written to metadata.json in the archive.
+ * Breaking change: `analyzeStorybook` in lib/analysis.js returns a `Promise<StorybookMetadata>` since it extracts
+ * component docs; synchronous callers must now await it.
+ */
+export interface StorybookMetadata {
+  project: string;
+  version: string;
+  /** ISO 8601 timestamp of the analysis. */
+  timestamp: string;
+  summary: {
+    /** Stories, not counting docs pages. */
+    totalStories: number;
+    docsPages: number;
+    withScreenshots: number;
+    /** The story index the stories were read from, or null if the story files were scanned. */
+    storyIndex: 'index.json' | 'stories.json' | null;
+    /** Components whose props were extracted. */
+    components: number;
+    /** With `affected` or `since`: stories whose file changed since the base ref. */
+    changedStories?: number;
+  };
+  stories: AnalyzedStory[];
+  /** One entry per documented component; empty with `componentDocs: false`. */
+  components: ComponentDocs[];
+  integrity?: IntegrityManifest;
+  /** The CI build that produced the deployment, when run on CI. */
+  ci?: CiBuild;
+}
+
+export type ErrorCode =
+  | 'APP_ERROR'
+  | 'USAGE_ERROR'
+  | 'CONFIG_ERROR'
+  | 'FILE_SYSTEM_ERROR'
+  | 'API_ERROR'
+  | 'UPLOAD_ERROR'
+  | 'STREAMING_NOT_SUPPORTED'
+  | 'INCREMENTAL_NOT_SUPPORTED'
+  | 'PROJECTS_FAILED';
+
+export class AppError extends Error {
+  constructor(message: string);
+  code: ErrorCode;
+}
+
+export class UsageError extends AppError {}
+
+/**
+ * A single configuration problem and the source that supplied the bad value.
+ */
+export interface ConfigIssue {
+  /** Dotted path of the option (e.g., storycapOptions.parallel). */
+  key: string;
+  /** Where the value came from (e.g., "environment variable SCRY_PART_SIZE"). */
+  source: string;
+  message: string;
+}
+
+export class ConfigError extends AppError {
+  constructor(message: string, issues?: ConfigIssue[]);
+  issues: ConfigIssue[];
+}
+
+export class FileSystemError extends AppError {}
+
+export class ApiError extends AppError {
+  constructor(message: string, statusCode?: number, attempts?: number);
+  /** HTTP status code of the failed response, if the server answered. */
+  statusCode?: number;
+  /** How many attempts were made before giving up. */
+  attempts?: number;
+}
+
+export class UploadError extends AppError {}
+
+export class StreamingNotSupportedError extends UploadError {}
+
+export class IncrementalNotSupportedError extends ApiError {
+  constructor(message: string);
+}
+
+export class ProjectsFailedError extends AppError {
+  constructor(message: string, projects: ProjectResult[]);
+  /** The result of every project, including the ones that succeeded. */
+  projects: ProjectResult[];
+}
+
+export interface Logger {
+  info(message: string): void;
+  success(message: string): void;
+  error(message: string): void;
+  debug(message: string): void;
+  progress(message: string, final?: boolean): void;
+}
+
+export type DeployStep = 'screenshots' | 'analysis' | 'archive' | 'upload';
+
+export type ProgressEvent =
+  | { type: 'step'; step: DeployStep; message: string }
+  | { type: 'upload'; loaded: number; total?: number };
+
+export interface DeployOptions extends Partial<DeployerConfig> {
+  /** Called when a step starts and while the upload progresses. */
+  onProgress?: (event: ProgressEvent) => void;
+  /** Logger to report progress with; nothing is written to stdout by default. */
+  logger?: Logger;
+}
+
+/** `skipped` when `affected` or `since` found no changes to the Storybook. */
+export type UploadMode = 'incremental' | 'stream' | 'multipart' | 'file' | 'dry-run' | 'skipped';
+
+export interface DeployResult {
+  project: string;
+  version: string;
+  dryRun: boolean;
+  /** Set when `affected` or `since` found no changes to the Storybook, so nothing was uploaded. */
+  skipped?: true;
+  /** For skipped deployments: the base version the version was aliased to, or null if it could not be. */
+  aliasOf?: string | null;
+  urls: {
+    /** Public URL of the deployed version; null for dry runs. */
+    deployment: string | null;
+    /** Upload target without its signature. */
+    upload: string | null;
+  };
+  upload: {
+    mode: UploadMode;
+    /** Incremental deploys only. */
+    totalFiles?: number;
+    uploadedBlobs?: number;
+    reusedBlobs?: number;
+    /** Dry runs only: every file in the archive. */
+    files?: Array<{ path: string; size: number }>;
+  };
+  archive: {
+    /** Only set when the archive is kept on disk. */
+    path?: string;
+    size?: number;
+    sha256: string;
+  } | null;
+  analysis: StorybookMetadata['summary'] | null;
+  /** The CI build the run was made from; null outside CI. */
+  ci: CiBuild | null;
+  /** Step durations in milliseconds. */
+  timings: {
+    screenshotsMs?: number;
+    analysisMs?: number;
+    uploadMs?: number;
+  };
+}
+
+export interface DeployProjectsOptions extends Omit<DeployOptions, 'onProgress'> {
+  /** Called with the progress events of every project, tagged with the project name. */
+  onProgress?: (event: ProgressEvent & { project: string }) => void;
+}
+
+export type ProjectResult =
+  | ({ name: string; status: 'success' } & DeployResult)
+  | {
+    name: string;
+    status: 'error';
+    project: string;
+    version: string;
+    error: {
+      code: ErrorCode | 'UNEXPECTED_ERROR';
+      message: string;
+      statusCode?: number;
+      attempts?: number;
+      issues?: ConfigIssue[];
+    };
+  };
+
+export interface DeployProjectsResult {
+  /** One result per project, in configuration (or discovery) order. */
+  projects: ProjectResult[];
+  /** Skipped (unchanged) projects count as succeeded. */
+  summary: { total: number; succeeded: number; skipped: number; failed: number };
+}
+
+export interface InitOptions {
+  project: string;
+  apiKey: string;
+  apiUrl?: string;
+  skipGhSetup?: boolean;
+  commitApiKey?: boolean;
+  verbose?: boolean;
+  logger?: Logger;
+}
+
+export interface InitResult {
+  project: string;
+  apiUrl: string;
+  workflows: string[];
+  committed: boolean;
+  commitSha: string | null;
+  pushed: boolean;
+  branch: string | null;
+}
+
+export function deploy(options?: DeployOptions): Promise<DeployResult>;
+
+/**
+ * Deploys several Storybooks in one run, from `projects` or by discovering workspace packages.
+ * Rejects with a ProjectsFailedError if any project failed; the others still run.
+ */
+export function deployProjects(options?: DeployProjectsOptions): Promise<DeployProjectsResult>;
+
+export function analyze(options?: DeployOptions): Promise<DeployResult>;
+
+export function init(options: InitOptions): Promise<InitResult>;
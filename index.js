@@ -0,0 +1,112 @@
+const { loadConfig, DEFAULT_CONFIG } = require('./lib/config.js');
+const { CONFIG_SCHEMA } = require('./lib/configSchema.js');
+const { runDeployment, runAnalysis } = require('./lib/deploy.js');
+const { runProjectDeployments } = require('./lib/projects.js');
+const { runInit, DEFAULT_INIT_API_URL } = require('./lib/init.js');
+const { createLogger } = require('./lib/logger.js');
+const errors = require('./lib/errors.js');
+
+/**
+ * Creates the logger used when the caller does not pass one.
+ * Nothing is written to stdout; debug output goes to stderr in verbose mode.
+ * @param {boolean} verbose Whether to enable debug output.
+ * @returns {object} The logger instance.
+ */
+function createQuietLogger(verbose) {
+  return createLogger({ verbose, json: true });
+}
+
+/**
+ * Splits the options of a programmatic call into the resolved configuration and run options.
+ * Options take precedence over environment variables and the config file, like CLI arguments.
+ * @param {object} options The call options.
+ * @returns {{config: object, runOptions: object}} The configuration and run options.
+ */
+function resolveOptions(options) {
+  const { onProgress, logger, ...configOptions } = options;
+  const config = loadConfig(configOptions, { argsSource: 'option' });
+
+  return {
+    config,
+    runOptions: {
+      logger: logger || createQuietLogger(config.verbose),
+      onProgress,
+      quiet: true,
+    },
+  };
+}
+
+/**
+ * Deploys a static Storybook build, optionally with screenshots and story metadata.
+ * @param {object} [options] Any option accepted by loadConfig (dir, project, version, apiUrl, apiKey, withAnalysis, ...).
+ * @param {function(object): void} [options.onProgress] Called with progress events:
+ *   `{type: 'step', step, message}` when a step starts and `{type: 'upload', loaded, total}` while uploading.
+ * @param {object} [options.logger] Logger with info/success/error/debug/progress methods; silent by default.
+ * @returns {Promise<object>} The result: project, version, URLs, upload mode, archive checksum, analysis summary and timings.
+ * @throws {AppError} A typed error from lib/errors.js if the deployment fails.
+ */
+async function deploy(options = {}) {
+  const { config, runOptions } = resolveOptions(options);
+  return runDeployment(config, runOptions);
+}
+
+/**
+ * Deploys several Storybooks in one run (monorepo mode), from `projects` or by discovering workspace packages.
+ * @param {object} [options] Same options as deploy(), plus `projects`, `discoverProjects` and `concurrency`.
+ *   Progress events also carry the project name in `project`.
+ * @returns {Promise<object>} The result of each project and a summary of how many succeeded and failed.
+ * @throws {ProjectsFailedError} If any project failed; `error.projects` holds the result of every project.
+ */
+async function deployProjects(options = {}) {
+  const { config, runOptions } = resolveOptions(options);
+  if (!config.projects && !config.discoverProjects) {
+    throw new errors.UsageError('deployProjects() needs `projects` or `discoverProjects`.');
+  }
+  return runProjectDeployments(config, runOptions);
+}
+
+/**
+ * Analyzes stories, captures screenshots and uploads the metadata archive without the static site.
+ * @param {object} [options] Same options as deploy().
+ * @returns {Promise<object>} The result, in the same shape as deploy().
+ * @throws {AppError} A typed error from lib/errors.js if the analysis or upload fails.
+ */
+async function analyze(options = {}) {
+  const { config, runOptions } = resolveOptions(options);
+  return runAnalysis(config, runOptions);
+}
+
+/**
+ * Sets up the config file and GitHub Actions workflows in the current repository.
+ * @param {object} options Setup options.
+ * @param {string} options.project The project ID from the Scry dashboard.
+ * @param {string} options.apiKey The API key from the Scry dashboard.
+ * @param {string} [options.apiUrl] The deployment service URL.
+ * @param {boolean} [options.skipGhSetup] Skip setting repository variables with the GitHub CLI (default: false).
+ * @param {boolean} [options.commitApiKey] Commit the API key in the config file (default: true).
+ * @param {object} [options.logger] Logger instance; silent by default.
+ * @returns {Promise<object>} What was set up: workflow files, commit and push status.
+ * @throws {AppError} If any setup step fails.
+ */
+async function init(options = {}) {
+  const { logger, ...initOptions } = options;
+
+  return runInit({
+    apiUrl: DEFAULT_INIT_API_URL,
+    skipGhSetup: false,
+    commitApiKey: true,
+    ...initOptions,
+    logger: logger || createQuietLogger(Boolean(options.verbose)),
+  });
+}
+
+module.exports = {
+  deploy,
+  deployProjects,
+  analyze,
+  init,
+  loadConfig,
+  DEFAULT_CONFIG,
+  CONFIG_SCHEMA,
+  ...errors
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { UsageError } = require('./errors.js');
+const { detectCiContext } = require('./ci.js');
+const { sanitizePlaceholder } = require('./versionTemplate.js');
+
+/**
+ * Runs a git command in the working directory.
+ * @param {string[]} args The git arguments.
+ * @returns {string} The trimmed output.
+ * @throws {Error} If git exits with an error; the message holds git's error output.
+ */
+function git(args) {
+  try {
+    return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+  } catch (error) {
+    throw new Error((error.stderr || error.message).trim());
+  }
+}
+
+/**
+ * Checks whether only affected Storybooks should be deployed.
+ * @param {object} config The resolved configuration.
+ * @returns {boolean} Whether `affected` or `since` is set.
+ */
+function isAffectedMode(config) {
+  return Boolean(config.affected || config.since);
+}
+
+/**
+ * Picks the ref to compare with: `since`, or the target branch of the pull request being built.
+ * @param {object} config The resolved configuration.
+ * @returns {{ref: string, branch: string|null}} The ref and, if it names a branch, the branch name.
+ * @throws {UsageError} If no base ref is configured and the CI build is not a pull request.
+ */
+function resolveBaseRef(config) {
+  if (config.since) {
+    // A commit SHA does not name a branch, so there is no version to alias
+    const branch = /^[0-9a-f]{7,40}$/.test(config.since) ? null : config.since.replace(/^(refs\/heads\/|refs\/remotes\/)?(origin\/)?/, '');
+    return { ref: config.since, branch };
+  }
+
+  const ci = detectCiContext();
+  if (ci && ci.baseBranch) {
+    return { ref: `origin/${ci.baseBranch}`, branch: ci.baseBranch };
+  }
+  throw new UsageError('--affected needs a base ref outside pull request builds. Pass one with --since <ref> (e.g., --since origin/main).');
+}
+
+/**
+ * Lists the files changed since the base ref: committed changes since the merge base, uncommitted changes to tracked files
+ * and untracked files that are not ignored.
+ * @param {object} config The resolved configuration.
+ * @returns {{since: string, baseSha: string, baseVersion: string|null, files: string[]}} The change set.
+ *   `files` are absolute paths; `baseVersion` is the deployed version unaffected Storybooks are aliased to.
+ * @throws {UsageError} If the base ref cannot be found or the working directory is not a git repository.
+ */
+function getChangeSet(config) {
+  const { ref, branch } = resolveBaseRef(config);
+
+  let root;
+  let baseSha;
+  try {
+    root = git(['rev-parse', '--show-toplevel']);
+    baseSha = git(['merge-base', ref, 'HEAD']);
+  } catch (error) {
+    throw new UsageError(`Could not compare with '${ref}': ${error.message}. In shallow CI clones, fetch the base branch first (e.g., git fetch --deepen=100 origin ${branch || ref}).`);
+  }
+
+  const changed = [
+    ...git(['diff', '--name-only', baseSha]).split('\n'),
+    // New files that were never added, such as a new story file, are not in the diff
+    ...git(['-C', root, 'ls-files', '--others', '--exclude-standard']).split('\n'),
+  ];
+  const files = [...new Set(changed.filter(Boolean))].map(file => path.join(root, file));
+
+  return {
+    since: ref,
+    baseSha,
+    baseVersion: config.baseVersion || (branch && sanitizePlaceholder('branch', branch)),
+    files,
+  };
+}
+
+/**
+ * Resolves a directory the way git reports paths.
+ * @param {string} dir The directory.
+ * @returns {string} The absolute real path.
+ */
+function realDir(dir) {
+  // git reports real paths, so resolve symlinks such as macOS's /tmp
+  return fs.existsSync(dir) ? fs.realpathSync(dir) : path.resolve(dir);
+}
+
+/**
+ * Checks whether a file lies inside a resolved directory.
+ * @param {string} file Absolute file path.
+ * @param {string} root Resolved directory (see realDir).
+ * @returns {boolean} Whether the file is the directory or inside it.
+ */
+function isInside(file, root) {
+  return file === root || file.startsWith(root + path.sep);
+}
+
+/**
+ * Adds the changed files that lie outside every Storybook to a change set.
+ * Such files (a lockfile, the root package.json, a shared .storybook or tsconfig, a package the Storybooks import)
+ * can change what any Storybook renders, so they affect all of them.
+ * @param {{files: string[]}} changes The change set (see getChangeSet).
+ * @param {string[]} roots The directories whose changes affect each Storybook.
+ * @returns {{files: string[], shared: string[]}} The change set with the files outside every root in `shared`.
+ */
+function withSharedChanges(changes, roots) {
+  const resolvedRoots = roots.map(realDir);
+  const shared = changes.files.filter(file => !resolvedRoots.some(root => isInside(file, root)));
+  return { ...changes, shared };
+}
+
+/**
+ * Checks whether a change set touches a directory.
+ * @param {{files: string[]}} changes The change set (see getChangeSet).
+ * @param {string} dir The directory, e.g. the package a Storybook is built from.
+ * @returns {boolean} Whether any changed file is inside the directory.
+ */
+function isAffected(changes, dir) {
+  const root = realDir(dir);
+  return changes.files.some(file => isInside(file, root));
+}
+
+module.exports = {
+  isAffectedMode,
+  getChangeSet,
+  withSharedChanges,
+  isAffected
+};
@@ -0,0 +1,239 @@
+const { ApiError, UsageError } = require('./errors.js');
+const { toApiError } = require('./apiClient.js');
+const { compareNewestFirst, getDeployment } = require('./deployments.js');
+const { createLogger } = require('./logger.js');
+const { withRetry } = require('./retry.js');
+const { formatTable } = require('./table.js');
+
+/**
+ * Normalizes an alias history entry returned by the service.
+ * @param {object} record The raw record.
+ * @returns {{version: string, promotedAt: string|null, promotedBy: string|null}} The history entry.
+ */
+function normalizeHistoryEntry(record) {
+  return {
+    ...record,
+    version: record.version,
+    promotedAt: record.promotedAt || record.timestamp || null,
+    promotedBy: record.promotedBy || null,
+  };
+}
+
+/**
+ * Lists the aliases of a project and the version each one points to.
+ * @param {axios.AxiosInstance} apiClient The configured axios instance.
+ * @param {string} project The project name/identifier.
+ * @param {object} [options] Request options.
+ * @param {object} [options.logger] Logger used for debug output and retry attempts.
+ * @param {object} [options.retry] Retry policy (see getRetryPolicy).
+ * @returns {Promise<Array<{alias: string, version: string, updatedAt: string|null}>>} The aliases.
+ */
+async function listAliases(apiClient, project, options = {}) {
+  const logger = options.logger || createLogger({});
+
+  try {
+    logger.debug(`Listing aliases from /aliases/${project}`);
+    const response = await withRetry(() => apiClient.get(`/aliases/${project}`), {
+      policy: options.retry,
+      logger,
+      label: 'Alias list request',
+    });
+
+    const records = Array.isArray(response.data) ? response.data : response.data.aliases;
+    if (!Array.isArray(records)) {
+      throw new ApiError('Failed to get aliases from server response');
+    }
+    return records
+      .map(record => ({ ...record, updatedAt: record.updatedAt || null }))
+      .sort((a, b) => a.alias.localeCompare(b.alias));
+  } catch (error) {
+    throw toApiError(error, `Failed to list aliases of '${project}'`);
+  }
+}
+
+/**
+ * Fetches the promotion history of an alias, newest first.
+ * The first entry is the version the alias currently points to.
+ * @param {axios.AxiosInstance} apiClient The configured axios instance.
+ * @param {string} project The project name/identifier.
+ * @param {string} alias The alias name.
+ * @param {object} [options] Request options (see listAliases).
+ * @returns {Promise<Array<object>>} The history entries.
+ */
+async function getAliasHistory(apiClient, project, alias, options = {}) {
+  const logger = options.logger || createLogger({});
+
+  try {
+    logger.debug(`Fetching alias history /aliases/${project}/${alias}/history`);
+    const response = await withRetry(() => apiClient.get(`/aliases/${project}/${alias}/history`), {
+      policy: options.retry,
+      logger,
+      label: 'Alias history request',
+    });
+
+    const records = Array.isArray(response.data) ? response.data : response.data.history;
+    if (!Array.isArray(records)) {
+      throw new ApiError('Failed to get alias history from server response');
+    }
+    return records
+      .map(normalizeHistoryEntry)
+      .sort((a, b) => compareNewestFirst(a.promotedAt, b.promotedAt));
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      throw new ApiError(`Alias '${alias}' of project '${project}' was not found`, 404);
+    }
+    throw toApiError(error, `Failed to get history of alias '${alias}'`);
+  }
+}
+
+/**
+ * Replays an alias history into the stack of versions rollbacks walk back through.
+ * Promotions push their version and rollbacks pop the version they left, so consecutive rollbacks keep going further back.
+ * @param {Array<object>} history The history entries, newest first (see getAliasHistory).
+ * @returns {string[]} The versions, oldest first; the last one is the current target.
+ */
+function buildVersionStack(history) {
+  const stack = [];
+  [...history].reverse().forEach(entry => {
+    if (entry.rollback && stack.length > 1) {
+      stack.pop();
+    }
+    if (stack[stack.length - 1] !== entry.version) {
+      stack.push(entry.version);
+    }
+  });
+  return stack;
+}
+
+/**
+ * Points an alias at a version.
+ * @param {axios.AxiosInstance} apiClient The configured axios instance.
+ * @param {string} project The project name/identifier.
+ * @param {string} version The deployed version.
+ * @param {string} alias The alias name.
+ * @param {object} body Extra fields recorded with the history entry (e.g., `rollback: true`).
+ * @param {object} [options] Request options (see listAliases).
+ * @returns {Promise<{project: string, alias: string, version: string, previousVersion: string|null}>} The update result.
+ */
+async function updateAlias(apiClient, project, version, alias, body, options = {}) {
+  const logger = options.logger || createLogger({});
+
+  // Fail with a clear message before touching the alias if the version was never deployed
+  await getDeployment(apiClient, project, version, options);
+
+  try {
+    logger.debug(`Pointing /aliases/${project}/${alias} at ${version}`);
+    const response = await withRetry(() => apiClient.put(`/aliases/${project}/${alias}`, { ...body, version }), {
+      policy: options.retry,
+      logger,
+      label: 'Alias update',
+    });
+    const data = response.data || {};
+    return { project, alias, version, previousVersion: data.previousVersion || null };
+  } catch (error) {
+    throw toApiError(error, `Failed to point '${alias}' at '${version}'`);
+  }
+}
+
+/**
+ * Points an alias at an already deployed version, without re-uploading it.
+ * @param {axios.AxiosInstance} apiClient The configured axios instance.
+ * @param {string} project The project name/identifier.
+ * @param {string} version The deployed version to promote.
+ * @param {string} alias The alias name (e.g., production).
+ * @param {object} [options] Request options (see listAliases).
+ * @returns {Promise<{project: string, alias: string, version: string, previousVersion: string|null}>} The promotion result.
+ */
+async function promoteVersion(apiClient, project, version, alias, options = {}) {
+  if (alias === version) {
+    throw new UsageError(`Alias '${alias}' cannot have the same name as the version it points to`);
+  }
+  return updateAlias(apiClient, project, version, alias, {}, options);
+}
+
+/**
+ * Points an alias back at the version it targeted before the current one.
+ * The update is recorded as a rollback, so the next rollback goes one version further back instead of undoing this one.
+ * @param {axios.AxiosInstance} apiClient The configured axios instance.
+ * @param {string} project The project name/identifier.
+ * @param {string} alias The alias name.
+ * @param {object} [options] Request options (see listAliases).
+ * @returns {Promise<{project: string, alias: string, version: string, previousVersion: string}>} The rollback result.
+ */
+async function rollbackAlias(apiClient, project, alias, options = {}) {
+  const history = await getAliasHistory(apiClient, project, alias, options);
+  if (history.length === 0) {
+    throw new UsageError(`Alias '${alias}' of project '${project}' has no history to roll back to`);
+  }
+
+  const stack = buildVersionStack(history);
+  const current = stack[stack.length - 1];
+  if (stack.length < 2) {
+    throw new UsageError(`Alias '${alias}' has no version before '${current}' to roll back to`);
+  }
+
+  const result = await updateAlias(apiClient, project, stack[stack.length - 2], alias, { rollback: true }, options);
+  return { ...result, previousVersion: current };
+}
+
+/**
+ * Deletes an alias, so its name is served by the deployment of the same name again.
+ * @param {axios.AxiosInstance} apiClient The configured axios instance.
+ * @param {string} project The project name/identifier.
+ * @param {string} alias The alias name.
+ * @param {object} [options] Request options (see listAliases).
+ * @returns {Promise<boolean>} Whether the alias existed.
+ */
+async function removeAlias(apiClient, project, alias, options = {}) {
+  const logger = options.logger || createLogger({});
+
+  try {
+    logger.debug(`Removing /aliases/${project}/${alias}`);
+    await withRetry(() => apiClient.delete(`/aliases/${project}/${alias}`), {
+      policy: options.retry,
+      logger,
+      label: 'Alias removal',
+    });
+    return true;
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return false;
+    }
+    throw toApiError(error, `Failed to remove alias '${alias}'`);
+  }
+}
+
+/**
+ * Formats aliases as an aligned text table.
+ * @param {Array<object>} aliases The aliases.
+ * @returns {string} The table.
+ */
+function formatAliasesTable(aliases) {
+  const rows = aliases.map(alias => [alias.alias, alias.version, alias.updatedAt || '-']);
+  return formatTable(['ALIAS', 'VERSION', 'UPDATED'], rows);
+}
+
+/**
+ * Formats an alias history as an aligned text table, marking the current target.
+ * @param {Array<object>} history The history entries, newest first.
+ * @returns {string} The table.
+ */
+function formatAliasHistoryTable(history) {
+  const rows = history.map((entry, index) => [
+    index === 0 ? '*' : '',
+    entry.version,
+    entry.promotedAt || '-',
+    entry.promotedBy || '-',
+  ]);
+  return formatTable(['', 'VERSION', 'PROMOTED', 'BY'], rows);
+}
+
+module.exports = {
+  listAliases,
+  getAliasHistory,
+  promoteVersion,
+  rollbackAlias,
+  removeAlias,
+  formatAliasesTable,
+  formatAliasHistoryTable
+};
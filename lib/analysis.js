@@ -1,5 +1,11 @@
 const fs = require('fs');
 const path = require('path');
+const { createLogger } = require('./logger.js');
+const { parseStoryFile } = require('./storyParser.js');
+const { readStoryIndex, findExportName } = require('./storyIndex.js');
+const { parseDocsFile } = require('./docsParser.js');
+const { resolveImportPath, extractComponentDocs } = require('./componentDocs.js');
+const { FileSystemError } = require('./errors.js');
 
 // Directories to exclude from story file search
 const EXCLUDED_DIRS = [
@@ -25,6 +31,15 @@ function isStoryFile(filename) {
   return /\.stories\.(ts|tsx|js|jsx|mjs|cjs)$/i.test(filename);
 }
 
+/**
+ * Checks if a file is an MDX docs page (.mdx)
+ * @param {string} filename - Filename to check
+ * @returns {boolean} True if file is an MDX file
+ */
+function isDocsFile(filename) {
+  return /\.mdx$/i.test(filename);
+}
+
 /**
  * Auto-detects the stories directory by searching for .stories.* files
  * @param {string} searchRoot - Root directory to search from (default: current directory)
@@ -89,35 +104,43 @@ function autoDetectStoriesDir(searchRoot = '.', maxDepth = 5) {
 }
 
 /**
- * Recursively finds all story files matching .stories.* pattern
- * @param {string} dir - Directory to search
- * @param {string[]} fileList - Accumulator for found files
- * @returns {string[]} Array of story file paths
+ * Resolves the directory to search for story files, auto-detecting it if none is given or it does not exist
+ * @param {string|null} dir - Configured stories directory
+ * @param {Object} logger - Logger for progress messages (optional)
+ * @returns {string|null} The directory, or null if no story files were found in the project
  */
-function findStoryFiles(dir, fileList = []) {
-  // If dir is null/undefined, try auto-detection
-  if (!dir || !fs.existsSync(dir)) {
-    console.log(`📂 Auto-detecting stories directory...`);
-    dir = autoDetectStoriesDir();
-    if (!dir) {
-      console.warn(`⚠️  No story files found in project`);
-      return [];
-    }
-    console.log(`✅ Found stories in: ${dir}`);
+function resolveStoriesDir(dir, logger = createLogger({})) {
+  if (dir && fs.existsSync(dir)) {
+    return dir;
+  }
+  logger.info(`📂 Auto-detecting stories directory...`);
+  const detected = autoDetectStoriesDir();
+  if (!detected) {
+    console.warn(`⚠️  No story files found in project`);
+    return null;
   }
+  logger.info(`✅ Found stories in: ${detected}`);
+  return detected;
+}
 
-  const files = fs.readdirSync(dir);
-  
-  files.forEach(file => {
+/**
+ * Recursively collects the files accepted by a predicate, skipping excluded directories
+ * @param {string} dir - Directory to search
+ * @param {Function} predicate - Called with each file name
+ * @param {string[]} fileList - Accumulator for found files
+ * @returns {string[]} Array of file paths
+ */
+function collectFiles(dir, predicate, fileList = []) {
+  fs.readdirSync(dir).forEach(file => {
     const filePath = path.join(dir, file);
     const stat = fs.statSync(filePath);
     
     if (stat.isDirectory()) {
       // Skip excluded directories
       if (!EXCLUDED_DIRS.includes(file)) {
-        findStoryFiles(filePath, fileList);
+        collectFiles(filePath, predicate, fileList);
       }
-    } else if (isStoryFile(file)) {
+    } else if (predicate(file)) {
       fileList.push(filePath);
     }
   });
@@ -126,93 +149,69 @@ function findStoryFiles(dir, fileList = []) {
 }
 
 /**
- * Extracts component name from import statements or meta object
+ * Recursively finds all story files matching .stories.* pattern
+ * @param {string} dir - Directory to search
+ * @param {string[]} fileList - Accumulator for found files
+ * @param {Object} logger - Logger for progress messages (optional)
+ * @returns {string[]} Array of story file paths
+ */
+function findStoryFiles(dir, fileList = [], logger = createLogger({})) {
+  // If dir is null/undefined, try auto-detection
+  const storiesDir = resolveStoriesDir(dir, logger);
+  return storiesDir ? collectFiles(storiesDir, isStoryFile, fileList) : [];
+}
+
+/**
+ * Recursively finds all MDX docs pages
+ * @param {string} dir - Directory to search
+ * @returns {string[]} Array of MDX file paths
+ */
+function findDocsFiles(dir) {
+  return collectFiles(dir, isDocsFile);
+}
+
+/**
+ * Extracts component name from the meta's `component` or, failing that, a relative import
  * @param {string} content - File content
+ * @param {string} [filename] - File name, used to pick the syntax (default: TypeScript with JSX)
  * @returns {string|null} Component name
  */
-function extractComponentName(content) {
-  // Try to find component from import statement
-  const importMatch = content.match(/import\s+{\s*([^}]+)\s*}\s+from\s+['"]\.\/([^'"]+)['"]/);
-  if (importMatch) {
-    const importedNames = importMatch[1].split(',').map(name => name.trim());
-    // Find the component (usually the one that starts with uppercase)
-    const componentName = importedNames.find(name => /^[A-Z]/.test(name));
-    if (componentName) return componentName;
-  }
-  
-  // Try to find component from meta.component
-  const metaMatch = content.match(/component:\s*([A-Za-z_$][A-Za-z0-9_$]*)/);
-  if (metaMatch) {
-    return metaMatch[1];
-  }
-  
-  return null;
+function extractComponentName(content, filename) {
+  return parseStoryFile(content, filename).componentName;
 }
 
 /**
  * Extracts the title from story file content
  * @param {string} content - File content
+ * @param {string} [filename] - File name, used to pick the syntax (default: TypeScript with JSX)
  * @returns {string|null} The title from the meta object
  */
-function extractStoryTitle(content) {
-  const titleMatch = content.match(/title:\s*['"]([^'"]+)['"]/);
-  return titleMatch ? titleMatch[1] : null;
+function extractStoryTitle(content, filename) {
+  return parseStoryFile(content, filename).title;
 }
 
 /**
  * Extracts story exports and their line numbers from file content
  * @param {string} content - File content
+ * @param {string} [filename] - File name, used to pick the syntax (default: TypeScript with JSX)
  * @returns {Array} Array of story objects with name and location
  */
-function extractStories(content) {
-  const lines = content.split('\n');
-  const stories = [];
-  
-  // Look for export statements that define stories
-  lines.forEach((line, index) => {
-    const lineNumber = index + 1;
-    
-    // Match export const/let/var StoryName: Story = {
-    const exportMatch = line.match(/^export\s+(?:const|let|var)\s+([A-Za-z_$][A-Za-z0-9_$]*)\s*:\s*Story\s*=/);
-    if (exportMatch) {
-      const storyName = exportMatch[1];
-      
-      // Find the end of this story object
-      let endLine = lineNumber;
-      let braceCount = 0;
-      let inStory = false;
-      
-      for (let i = index; i < lines.length; i++) {
-        const currentLine = lines[i];
-        
-        // Count opening and closing braces
-        for (const char of currentLine) {
-          if (char === '{') {
-            braceCount++;
-            inStory = true;
-          } else if (char === '}') {
-            braceCount--;
-          }
-        }
-        
-        // If we've closed all braces and we were in a story, we found the end
-        if (inStory && braceCount === 0) {
-          endLine = i + 1;
-          break;
-        }
-      }
-      
-      stories.push({
-        testName: storyName,
-        location: {
-          startLine: lineNumber,
-          endLine: endLine
-        }
-      });
-    }
-  });
-  
-  return stories;
+function extractStories(content, filename) {
+  return toStoryEntries(parseStoryFile(content, filename).stories);
+}
+
+/**
+ * Converts parsed stories to story entries, named by their export (or their storiesOf name)
+ * @param {Array} stories - Stories from parseStoryFile
+ * @returns {Array} Array of story objects with name, location, args, argTypes, parameters, tags and play
+ */
+function toStoryEntries(stories) {
+  return stories.map(({ name, title, ...story }) => ({
+    testName: name,
+    // storiesOf stories each have the title of their storiesOf call
+    ...(title !== undefined && { storyTitle: title }),
+    ...story
+  }));
 }
 
 /**
@@ -223,19 +222,62 @@ function extractStories(content) {
 function processStoryFile(filePath) {
   try {
     const content = fs.readFileSync(filePath, 'utf8');
-    const componentName = extractComponentName(content);
-    const storyTitle = extractStoryTitle(content);
-    const stories = extractStories(content);
+    const parsed = parseStoryFile(content, filePath);
+    
+    if (parsed.stories.length === 0) {
+      return null;
+    }
+    
+    const componentPath = parsed.componentImport && resolveImportPath(filePath, parsed.componentImport.source);
+    return {
+      filepath: filePath,
+      componentName: parsed.componentName,
+      componentPath: componentPath ? path.relative(process.cwd(), componentPath) : null,
+      storyTitle: parsed.title,
+      stories: toStoryEntries(parsed.stories)
+    };
+  } catch (error) {
+    console.error(`Error processing file ${filePath}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Processes an MDX docs page: its title, the CSF file it is attached to, the stories it shows and its headings
+ * @param {string} filePath - Path to the .mdx file
+ * @returns {Object|null} Docs entry, or null if the file is not a Storybook docs page
+ */
+function processDocsFile(filePath) {
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const page = parseDocsFile(content);
     
-    if (!componentName || stories.length === 0) {
+    // Other MDX, such as pages of a documentation site, neither uses <Meta> nor imports from Storybook
+    if (!page.isStorybookDocs) {
       return null;
     }
     
+    const toFilePath = source => {
+      const resolved = resolveImportPath(filePath, source);
+      return resolved ? path.relative(process.cwd(), resolved) : null;
+    };
+    const attachedTo = page.of ? toFilePath(page.of.source) : null;
+    const attachedInfo = attachedTo ? processStoryFile(attachedTo) : null;
+    
     return {
+      kind: 'docs',
       filepath: filePath,
-      componentName: componentName,
-      storyTitle: storyTitle,
-      stories: stories
+      componentName: attachedInfo ? attachedInfo.componentName : null,
+      componentPath: attachedInfo ? attachedInfo.componentPath : null,
+      storyTitle: page.title || (attachedInfo ? attachedInfo.storyTitle : null),
+      // Storybook names docs pages "Docs" unless <Meta name> says otherwise
+      testName: page.name || 'Docs',
+      location: { startLine: 1, endLine: content.split('\n').length },
+      attachedTo,
+      references: page.references.map(({ source, exportName, ...reference }) => (source === undefined
+        ? reference
+        : { filepath: toFilePath(source), testName: exportName, ...reference })),
+      headings: page.headings
     };
   } catch (error) {
     console.error(`Error processing file ${filePath}:`, error.message);
@@ -246,27 +288,25 @@ function processStoryFile(filePath) {
 /**
  * Main function to crawl all story files and return results
  * @param {string} storiesDir - Directory containing stories (optional, will auto-detect if not provided)
+ * @param {Object} logger - Logger for progress messages (optional)
  * @returns {Array} Array of story file information
  */
-function crawlStories(storiesDir = null) {
-  let storyFiles;
-  
+function crawlStories(storiesDir = null, logger = createLogger({})) {
   // If no directory provided or directory doesn't exist, try auto-detection
-  if (!storiesDir || !fs.existsSync(storiesDir)) {
-    if (storiesDir && !fs.existsSync(storiesDir)) {
-      console.warn(`⚠️  Specified directory '${storiesDir}' not found. Attempting auto-detection...`);
-    }
-    storyFiles = findStoryFiles(null);
-  } else {
-    storyFiles = findStoryFiles(storiesDir);
+  if (storiesDir && !fs.existsSync(storiesDir)) {
+    console.warn(`⚠️  Specified directory '${storiesDir}' not found. Attempting auto-detection...`);
   }
+  const searchDir = resolveStoriesDir(storiesDir, logger);
+  const storyFiles = searchDir ? findStoryFiles(searchDir, [], logger) : [];
+  // MDX docs pages live next to the stories they document
+  const docsFiles = searchDir ? findDocsFiles(searchDir) : [];
   
-  if (storyFiles.length === 0) {
+  if (storyFiles.length === 0 && docsFiles.length === 0) {
     console.warn(`⚠️  No story files found`);
     return [];
   }
   
-  console.log(`📚 Found ${storyFiles.length} story file(s)`);
+  logger.info(`📚 Found ${storyFiles.length} story file(s)${docsFiles.length > 0 ? ` and ${docsFiles.length} MDX file(s)` : ''}`);
   
   const results = [];
   
@@ -276,19 +316,143 @@ function crawlStories(storiesDir = null) {
       // Flatten the structure to match the requested format
       fileInfo.stories.forEach(story => {
         results.push({
+          kind: 'story',
           filepath: fileInfo.filepath,
           componentName: fileInfo.componentName,
+          componentPath: fileInfo.componentPath,
           storyTitle: fileInfo.storyTitle,
-          testName: story.testName,
-          location: story.location
+          ...story
         });
       });
     }
   });
   
+  docsFiles.forEach(filePath => {
+    const docsEntry = processDocsFile(filePath);
+    if (docsEntry) {
+      results.push(docsEntry);
+    }
+  });
+  
   return results;
 }
 
+/**
+ * Builds story entries from a built Storybook's story index, with locations from the story files
+ * @param {Object} index - Story index from readStoryIndex
+ * @param {string} storybookDir - Built Storybook directory; import paths are resolved from its parent, then the working directory
+ * @returns {Array} Array of story entries, in index order
+ */
+function crawlStoryIndex(index, storybookDir) {
+  const roots = [path.dirname(path.resolve(storybookDir)), process.cwd()];
+  const sourceFiles = new Map();
+  const findFile = indexPath => {
+    const filePath = roots.map(root => path.resolve(root, indexPath)).find(candidate => fs.existsSync(candidate));
+    return filePath ? path.relative(process.cwd(), filePath) : null;
+  };
+
+  // Parse each story file once, however many stories it holds
+  const readSourceFile = importPath => {
+    if (!sourceFiles.has(importPath)) {
+      const filePath = findFile(importPath);
+      let fileInfo = null;
+      if (filePath) {
+        fileInfo = isDocsFile(filePath) ? processDocsFile(filePath) : processStoryFile(filePath);
+      }
+      sourceFiles.set(importPath, fileInfo);
+    }
+    return sourceFiles.get(importPath);
+  };
+
+  const results = index.entries.map(story => {
+    const sourceFile = story.importPath ? readSourceFile(story.importPath) : null;
+    
+    if (story.type === 'docs') {
+      // MDX pages come with their headings and references; autodocs pages are generated from the story file itself
+      const page = sourceFile && sourceFile.kind === 'docs' ? sourceFile : null;
+      return {
+        kind: 'docs',
+        id: story.id,
+        filepath: sourceFile ? sourceFile.filepath : null,
+        importPath: story.importPath,
+        componentName: sourceFile ? sourceFile.componentName : null,
+        componentPath: (story.componentPath && findFile(story.componentPath)) || (sourceFile ? sourceFile.componentPath : null),
+        storyTitle: story.title,
+        storyName: story.name,
+        testName: story.name,
+        location: page ? page.location : null,
+        tags: story.tags || [],
+        attachedTo: page ? page.attachedTo : (sourceFile ? sourceFile.filepath : null),
+        references: page ? page.references : [],
+        headings: page ? page.headings : []
+      };
+    }
+    
+    // Stories defined in MDX (Storybook 6's .stories.mdx) have no story file to locate them in
+    const fileInfo = sourceFile && sourceFile.kind !== 'docs' ? sourceFile : null;
+    const exportName = fileInfo ? findExportName(story, fileInfo.stories.map(entry => entry.testName)) : null;
+    const { testName, location = null, tags, ...annotations } = exportName
+      ? fileInfo.stories.find(entry => entry.testName === exportName)
+      : {};
+
+    return {
+      kind: 'story',
+      id: story.id,
+      filepath: fileInfo ? fileInfo.filepath : null,
+      importPath: story.importPath,
+      componentName: fileInfo ? fileInfo.componentName : null,
+      componentPath: (story.componentPath && findFile(story.componentPath)) || (fileInfo ? fileInfo.componentPath : null),
+      storyTitle: story.title,
+      storyName: story.name,
+      testName: testName || story.exportName || story.name,
+      location,
+      // index.json has the tags Storybook resolved, including those from preview.js and negations
+      tags: story.tags || tags || [],
+      ...annotations
+    };
+  });
+
+  const unlocated = results.filter(entry => entry.kind === 'story' && !entry.location).length;
+  if (unlocated > 0) {
+    console.warn(`⚠️  ${unlocated} indexed ${unlocated === 1 ? 'story' : 'stories'} not found in the story files (no location recorded)`);
+  }
+  return results;
+}
+
+/**
+ * Lists the stories to analyze: from the built Storybook's index.json (or stories.json), or by scanning story files
+ * @param {Object} options - Options
+ * @param {string} options.storySource - 'auto' (the index if the build has one), 'index' or 'source'
+ * @param {string} options.storybookDir - Built Storybook directory
+ * @param {string} options.storiesDir - Directory containing stories, for source scanning (null auto-detects)
+ * @param {Object} options.logger - Logger for progress messages
+ * @returns {{stories: Array, storyIndex: string|null}} Story entries and the index file they came from, if any
+ * @throws {FileSystemError} If storySource is 'index' and the build has no readable index
+ */
+function collectStoryEntries({ storySource, storybookDir, storiesDir, logger }) {
+  if (storySource !== 'source') {
+    let index = null;
+    try {
+      index = storybookDir ? readStoryIndex(storybookDir) : null;
+    } catch (error) {
+      if (storySource === 'index') {
+        throw error;
+      }
+      console.warn(`⚠️  ${error.message}. Scanning story files instead.`);
+    }
+
+    if (index) {
+      logger.info(`📇 Reading ${index.entries.length} stories and docs pages from ${path.relative(process.cwd(), index.file) || index.file}`);
+      return { stories: crawlStoryIndex(index, storybookDir), storyIndex: path.basename(index.file) };
+    }
+    if (storySource === 'index') {
+      throw new FileSystemError(`No story index found in '${storybookDir}'. Expected index.json or stories.json from \`storybook build\`.`);
+    }
+  }
+
+  return { stories: crawlStories(storiesDir, logger), storyIndex: null };
+}
+
 /**
  * Converts camelCase story names to space-separated screenshot names
  * @param {string} storyName - The camelCase story name
@@ -334,10 +498,12 @@ function findScreenshotFiles(screenshotsDir, fileList = []) {
  * @returns {string|null} Path to the corresponding screenshot
  */
 function findMatchingScreenshot(storyEntry, storyTitle, screenshotFiles) {
-  const screenshotName = convertStoryNameToScreenshotName(storyEntry.testName);
+  // Stories from the index carry their display name; storycap names screenshots after it
+  const screenshotName = storyEntry.storyName || convertStoryNameToScreenshotName(storyEntry.testName);
   
   // Build expected screenshot path
-  const expectedPath = path.join('__screenshots__', storyTitle, `${screenshotName}.png`);
+  // Autotitle stories scanned from source have no title
+  const expectedPath = path.join('__screenshots__', storyTitle || '', `${screenshotName}.png`);
   
   // Try to find exact match
   let matchingScreenshot = screenshotFiles.find(filePath => 
@@ -369,19 +535,30 @@ function findMatchingScreenshot(storyEntry, storyTitle, screenshotFiles) {
  * Main function to map stories to their screenshots
  * @param {string} storiesDir - Directory containing stories (optional, will auto-detect if not provided)
  * @param {string} screenshotsDir - Directory containing screenshots
+ * @param {Object} logger - Logger for progress messages (optional)
  * @returns {Array} Array of story entries with screenshot paths
  */
-function mapStoriesToScreenshots(storiesDir = null, screenshotsDir = './__screenshots__') {
+function mapStoriesToScreenshots(storiesDir = null, screenshotsDir = './__screenshots__', logger = createLogger({})) {
   // Get all story entries (will auto-detect if storiesDir is null)
-  const storyEntries = crawlStories(storiesDir);
-  
+  return attachScreenshots(crawlStories(storiesDir, logger), screenshotsDir);
+}
+
+/**
+ * Adds the matching screenshot path to each story entry
+ * @param {Array} storyEntries - Story entries from crawlStories or crawlStoryIndex
+ * @param {string} screenshotsDir - Directory containing screenshots
+ * @returns {Array} Array of story entries with screenshot paths
+ */
+function attachScreenshots(storyEntries, screenshotsDir) {
   // Get all screenshot files
   const screenshotFiles = findScreenshotFiles(screenshotsDir);
   
   // Map each story to its screenshot
   const mappedEntries = storyEntries.map(storyEntry => {
-    // Find matching screenshot
-    const screenshotPath = findMatchingScreenshot(storyEntry, storyEntry.storyTitle, screenshotFiles);
+    // Find matching screenshot; docs pages have none
+    const screenshotPath = storyEntry.kind === 'docs'
+      ? null
+      : findMatchingScreenshot(storyEntry, storyEntry.storyTitle, screenshotFiles);
     
     return {
       ...storyEntry,
@@ -396,24 +573,36 @@ function mapStoriesToScreenshots(storiesDir = null, screenshotsDir = './__screen
  * Analyzes storybook stories and maps them to screenshots
  * @param {Object} config - Configuration options
  * @param {string} config.storiesDir - Directory containing stories (optional, will auto-detect if not provided)
+ * @param {string} config.storybookDir - Built Storybook directory, read for its story index (optional)
+ * @param {string} config.storySource - 'auto', 'index' or 'source' (default: 'auto')
+ * @param {boolean} config.componentDocs - Extract the props of the components stories document (default: true)
  * @param {string} config.screenshotsDir - Directory containing screenshots
  * @param {string} config.project - Project name
  * @param {string} config.version - Version identifier
- * @returns {Object} Analysis results with metadata
+ * @param {Object} config.logger - Logger for progress messages (optional)
+ * @returns {Promise<Object>} Analysis results with metadata
+ * @throws {FileSystemError} If storySource is 'index' and the build has no readable index
  */
-function analyzeStorybook(config) {
+async function analyzeStorybook(config) {
   const {
     storiesDir = null, // null enables auto-detection
+    storybookDir = null,
+    storySource = 'auto',
+    componentDocs = true,
     screenshotsDir = './__screenshots__',
     project,
-    version
+    version,
+    logger = createLogger({})
   } = config;
   
   // Map stories to screenshots
-  const stories = mapStoriesToScreenshots(storiesDir, screenshotsDir);
+  const { stories: storyEntries, storyIndex } = collectStoryEntries({ storySource, storybookDir, storiesDir, logger });
+  const stories = attachScreenshots(storyEntries, screenshotsDir);
+  const components = componentDocs ? await extractComponentDocs(stories) : [];
   
   // Calculate summary statistics
-  const totalStories = stories.length;
+  const totalStories = stories.filter(s => s.kind === 'story').length;
+  const docsPages = stories.filter(s => s.kind === 'docs').length;
   const withScreenshots = stories.filter(s => s.screenshotPath).length;
   
   return {
@@ -422,24 +611,32 @@ function analyzeStorybook(config) {
     timestamp: new Date().toISOString(),
     summary: {
       totalStories,
-      withScreenshots
+      docsPages,
+      withScreenshots,
+      storyIndex,
+      components: components.length
     },
-    stories
+    stories,
+    components
   };
 }
 
 module.exports = {
   findStoryFiles,
+  findDocsFiles,
   extractComponentName,
   extractStoryTitle,
   extractStories,
   processStoryFile,
+  processDocsFile,
   crawlStories,
+  crawlStoryIndex,
   convertStoryNameToScreenshotName,
   findScreenshotFiles,
   findMatchingScreenshot,
   mapStoriesToScreenshots,
   analyzeStorybook,
   autoDetectStoriesDir,
-  isStoryFile
+  isStoryFile,
+  isDocsFile
 };
\ No newline at end of file
@@ -1,6 +1,10 @@
 const axios = require('axios');
 const fs = require('fs');
-const { ApiError, UploadError } = require('./errors.js');
+const { Transform } = require('stream');
+const { AppError, ApiError, UploadError, StreamingNotSupportedError } = require('./errors.js');
+const { createLogger } = require('./logger.js');
+const { withRetry } = require('./retry.js');
+const { createChecksumHasher, computeFileChecksums, toChecksumMismatchError, verifyUploadResponse } = require('./checksum.js');
 
 /**
  * Creates a pre-configured axios instance for making API calls.
@@ -30,6 +34,47 @@ function getApiClient(apiUrl, apiKey) {
   });
 }
 
+/**
+ * Converts an axios error into an ApiError with a descriptive message.
+ * @param {Error} error The error thrown by axios.
+ * @param {string} action What was being attempted, used as the message prefix.
+ * @returns {ApiError} The converted error.
+ */
+function toApiError(error, action) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  const attempts = error.attempts;
+  const prefix = attempts > 1 ? `${action} after ${attempts} attempts` : action;
+  if (error.response) {
+    return new ApiError(`${prefix}: ${error.response.status} ${error.response.statusText}${error.response.data ? ` - ${JSON.stringify(error.response.data)}` : ''}`, error.response.status, attempts);
+  }
+  if (error.request) {
+    return new ApiError(`${prefix}: No response from server`, undefined, attempts);
+  }
+  return new ApiError(`${prefix}: ${error.message}`, undefined, attempts);
+}
+
+/**
+ * Builds the headers for a PUT to a presigned URL.
+ * The server may list extra headers the URL was signed with, and opts in to
+ * Content-MD5 verification when the storage backend supports it.
+ * @param {object} presignedData The presigned URL response body.
+ * @param {string} contentType The Content-Type of the upload.
+ * @param {{sha256: string, md5: string}} [checksums] The checksums of the body.
+ * @returns {object} The request headers.
+ */
+function getUploadHeaders(presignedData, contentType, checksums) {
+  const headers = {
+    'Content-Type': contentType,
+    ...presignedData.headers,
+  };
+  if (checksums && presignedData.contentMd5) {
+    headers['Content-MD5'] = checksums.md5;
+  }
+  return headers;
+}
+
 /**
  * Uploads a file using a presigned URL workflow.
  * @param {axios.AxiosInstance} apiClient The configured axios instance.
@@ -37,9 +82,14 @@ function getApiClient(apiUrl, apiKey) {
  * @param {string} payload.project The project name/identifier.
  * @param {string} payload.version The version identifier.
  * @param {string} filePath The local path to the file to upload.
+ * @param {object} [options] Upload options.
+ * @param {object} [options.logger] Logger used for debug output and retry attempts.
+ * @param {object} [options.retry] Retry policy for the presigned URL request and the PUT (see getRetryPolicy).
+ * @param {function(number, number): void} [options.onProgress] Called with bytes sent and total bytes during the PUT.
+ * @param {{sha256: string, md5: string}} [options.checksums] Precomputed checksums of the file.
  * @returns {Promise<object>} A promise that resolves to the upload result.
  */
-async function uploadFileDirectly(apiClient, { project, version }, filePath) {
+async function uploadFileDirectly(apiClient, { project, version }, filePath, options = {}) {
   // This is a mock check to allow testing of a 500 server error.
   if (project === 'fail-me-500') {
     throw new ApiError('The deployment service encountered an internal error.', 500);
@@ -49,52 +99,157 @@ async function uploadFileDirectly(apiClient, { project, version }, filePath) {
   const projectName = project || 'main';
   const versionName = version || 'latest';
 
-  const fileBuffer = fs.readFileSync(filePath);
+  const fileSize = fs.statSync(filePath).size;
+  const fileName = 'storybook.zip';
+  const logger = options.logger || createLogger({});
+  const checksums = options.checksums || await computeFileChecksums(filePath);
+
+  try {
+    // Step 1: Request a presigned URL, declaring the checksums the server should expect
+    logger.debug(`Requesting presigned URL for /presigned-url/${projectName}/${versionName}/${fileName}`);
+    const presignedResponse = await withRetry(() => apiClient.post(
+      `/presigned-url/${projectName}/${versionName}/${fileName}`,
+      { checksums: { sha256: checksums.sha256, md5: checksums.md5 } },
+      {
+        headers: {
+          'Content-Type': 'application/zip',
+        },
+      }
+    ), { policy: options.retry, logger, label: 'Presigned URL request' });
+
+    const presignedUrl = presignedResponse.data.url;
+    if (!presignedUrl) {
+      throw new ApiError('Failed to get presigned URL from server response');
+    }
+
+    logger.debug('Received presigned URL, uploading file...');
+
+    // Step 2: Stream the file to the presigned URL using PUT, reopening it for each attempt
+    const uploadResponse = await withRetry(() => axios.put(presignedUrl, fs.createReadStream(filePath), {
+      headers: {
+        ...getUploadHeaders(presignedResponse.data, 'application/zip', checksums),
+        'Content-Length': fileSize,
+      },
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity,
+      onUploadProgress: options.onProgress && (event => options.onProgress(event.loaded, fileSize)),
+    }), { policy: options.retry, logger, label: 'Upload' });
+    verifyUploadResponse(uploadResponse, checksums);
+
+    logger.debug('File uploaded successfully');
+    return { success: true, url: presignedUrl, status: uploadResponse.status, checksums };
+  } catch (error) {
+    if (error instanceof UploadError) {
+      throw error;
+    }
+    const mismatchError = toChecksumMismatchError(error, checksums);
+    if (mismatchError) {
+      throw mismatchError;
+    }
+    throw toApiError(error, 'Failed to upload file');
+  }
+}
+
+/**
+ * Uploads a stream of unknown length using chunked transfer encoding.
+ * The server must opt in by answering the presigned URL request with `streaming: true`;
+ * otherwise a StreamingNotSupportedError is thrown before the stream is created.
+ * @param {axios.AxiosInstance} apiClient The configured axios instance.
+ * @param {object} payload The metadata for the deployment.
+ * @param {string} payload.project The project name/identifier.
+ * @param {string} payload.version The version identifier.
+ * @param {function(): import('stream').Readable} createStream Factory for the stream to upload.
+ * @param {object} [options] Upload options.
+ * @param {object} [options.logger] Logger used for debug output and retry attempts.
+ * @param {object} [options.retry] Retry policy for the presigned URL request. The streamed PUT cannot be replayed and is not retried.
+ * @param {function(number): void} [options.onProgress] Called with bytes sent during the PUT.
+ * @returns {Promise<object>} A promise that resolves to the upload result.
+ */
+async function uploadStreamDirectly(apiClient, { project, version }, createStream, options = {}) {
+  // This is a mock check to allow testing of a 500 server error.
+  if (project === 'fail-me-500') {
+    throw new ApiError('The deployment service encountered an internal error.', 500);
+  }
+
+  const projectName = project || 'main';
+  const versionName = version || 'latest';
   const fileName = 'storybook.zip';
+  const logger = options.logger || createLogger({});
+
+  let streamError = null;
 
   try {
-    // Step 1: Request a presigned URL
-    console.log(`[DEBUG] Requesting presigned URL for /presigned-url/${projectName}/${versionName}/${fileName}`);
-    const presignedResponse = await apiClient.post(
+    // Step 1: Request a presigned URL that accepts a body without Content-Length
+    logger.debug(`Requesting streaming presigned URL for /presigned-url/${projectName}/${versionName}/${fileName}`);
+    const presignedResponse = await withRetry(() => apiClient.post(
       `/presigned-url/${projectName}/${versionName}/${fileName}`,
-      {},
+      { streaming: true },
       {
         headers: {
           'Content-Type': 'application/zip',
         },
       }
-    );
+    ), { policy: options.retry, logger, label: 'Presigned URL request' });
 
     const presignedUrl = presignedResponse.data.url;
     if (!presignedUrl) {
       throw new ApiError('Failed to get presigned URL from server response');
     }
+    if (presignedResponse.data.streaming !== true) {
+      throw new StreamingNotSupportedError('The deployment service requires a known Content-Length for uploads');
+    }
+
+    logger.debug('Received presigned URL, streaming archive...');
 
-    console.log(`[DEBUG] Received presigned URL, uploading file...`);
+    // Step 2: Pipe the archive into the PUT request as it is produced, hashing it on the way.
+    // The checksums are only known once the stream ends, so they cannot be declared up front.
+    const hasher = createChecksumHasher();
+    const stream = createStream();
+    const hashingStream = new Transform({
+      transform(chunk, encoding, callback) {
+        hasher.update(chunk);
+        callback(null, chunk);
+      },
+    });
+    stream.on('error', err => {
+      streamError = err;
+      hashingStream.destroy(err);
+    });
+    stream.pipe(hashingStream);
 
-    // Step 2: Upload the file to the presigned URL using PUT
-    const uploadResponse = await axios.put(presignedUrl, fileBuffer, {
+    const uploadResponse = await axios.put(presignedUrl, hashingStream, {
       headers: {
         'Content-Type': 'application/zip',
+        'Transfer-Encoding': 'chunked',
       },
       maxContentLength: Infinity,
       maxBodyLength: Infinity,
+      onUploadProgress: options.onProgress && (event => options.onProgress(event.loaded)),
     });
 
-    console.log(`[DEBUG] File uploaded successfully`);
-    return { success: true, url: presignedUrl, status: uploadResponse.status };
+    const checksums = hasher.digest();
+    verifyUploadResponse(uploadResponse, checksums);
+
+    logger.debug('Stream uploaded successfully');
+    return { success: true, url: presignedUrl, status: uploadResponse.status, streamed: true, checksums };
   } catch (error) {
-    if (error.response) {
-      throw new ApiError(`Failed to upload file: ${error.response.status} ${error.response.statusText}${error.response.data ? ` - ${JSON.stringify(error.response.data)}` : ''}`, error.response.status);
-    } else if (error.request) {
-      throw new ApiError(`Failed to upload file: No response from server at ${apiClient.defaults.baseURL}`);
-    } else {
-      throw new ApiError(`Failed to upload file: ${error.message}`);
+    if (streamError) {
+      throw streamError;
+    }
+    if (error instanceof AppError) {
+      throw error;
+    }
+    if (error.response && (error.response.status === 411 || error.response.status === 501)) {
+      throw new StreamingNotSupportedError(`Upload target rejected the streamed body: ${error.response.status} ${error.response.statusText}`);
     }
+    throw toApiError(error, 'Failed to upload file');
   }
 }
 
 module.exports = {
   getApiClient,
+  getUploadHeaders,
   uploadFileDirectly,
+  uploadStreamDirectly,
+  toApiError,
 };
@@ -1,31 +1,92 @@
 const fs = require('fs');
+const { PassThrough } = require('stream');
 const archiver = require('archiver');
 const { FileSystemError } = require('./errors.js');
+const { createChecksumHasher } = require('./checksum.js');
 
 /**
- * Zips a directory and saves it to the specified output path.
- * @param {string} sourceDir The path to the directory to zip.
+ * Writes a populated archiver instance to a file, computing its checksums on the way.
+ * @param {archiver.Archiver} archive The archive to finalize.
  * @param {string} outPath The path to save the output zip file.
- * @param {string|boolean} internalPath Optional internal path within the ZIP (default: false for root)
- * @returns {Promise<void>} A promise that resolves when the zipping is complete.
+ * @param {string} errorPrefix Message prefix used when archiving fails.
+ * @returns {Promise<{size: number, sha256: string, md5: string}>} A promise that resolves with the archive checksums when the file is written.
  */
-function zipDirectory(sourceDir, outPath, internalPath = false) {
-  const archive = archiver('zip', {
-    zlib: { level: 9 } // Sets the compression level.
-  });
+function writeArchive(archive, outPath, errorPrefix) {
   const stream = fs.createWriteStream(outPath);
+  const hasher = createChecksumHasher();
+  let size = 0;
 
   return new Promise((resolve, reject) => {
     archive
-      .directory(sourceDir, internalPath) // Adds files from sourceDir to the specified path in archive
-      .on('error', err => reject(new FileSystemError(`Failed to archive directory: ${err.message}`)))
+      .on('error', err => reject(new FileSystemError(`${errorPrefix}: ${err.message}`)))
+      .on('data', chunk => {
+        size += chunk.length;
+        hasher.update(chunk);
+      })
       .pipe(stream);
 
     stream.on('close', () => {
-      resolve();
+      resolve({ size, ...hasher.digest() });
     });
     archive.finalize();
   });
 }
 
-module.exports = { zipDirectory };
+/**
+ * Finalizes a populated archiver instance and exposes it as a readable stream.
+ * Archiving errors are surfaced as a FileSystemError on the returned stream.
+ * @param {archiver.Archiver} archive The archive to finalize.
+ * @param {string} errorPrefix Message prefix used when archiving fails.
+ * @returns {import('stream').Readable} The zip byte stream.
+ */
+function streamArchive(archive, errorPrefix) {
+  const output = new PassThrough();
+
+  archive
+    .on('error', err => output.destroy(new FileSystemError(`${errorPrefix}: ${err.message}`)))
+    .pipe(output);
+
+  archive.finalize();
+  return output;
+}
+
+/**
+ * Creates a zip archive containing a directory, ready to be finalized.
+ * @param {string} sourceDir The path to the directory to zip.
+ * @param {string|boolean} internalPath Optional internal path within the ZIP (default: false for root)
+ * @returns {archiver.Archiver} The populated archive.
+ */
+function createDirectoryArchive(sourceDir, internalPath = false) {
+  const archive = archiver('zip', {
+    zlib: { level: 9 } // Sets the compression level.
+  });
+  return archive.directory(sourceDir, internalPath); // Adds files from sourceDir to the specified path in archive
+}
+
+/**
+ * Zips a directory and saves it to the specified output path.
+ * @param {string} sourceDir The path to the directory to zip.
+ * @param {string} outPath The path to save the output zip file.
+ * @param {string|boolean} internalPath Optional internal path within the ZIP (default: false for root)
+ * @returns {Promise<{size: number, sha256: string, md5: string}>} A promise that resolves with the archive checksums when the zipping is complete.
+ */
+function zipDirectory(sourceDir, outPath, internalPath = false) {
+  return writeArchive(createDirectoryArchive(sourceDir, internalPath), outPath, 'Failed to archive directory');
+}
+
+/**
+ * Zips a directory into a stream instead of a file, so it can be uploaded while it is produced.
+ * @param {string} sourceDir The path to the directory to zip.
+ * @param {string|boolean} internalPath Optional internal path within the ZIP (default: false for root)
+ * @returns {import('stream').Readable} The zip byte stream.
+ */
+function streamDirectory(sourceDir, internalPath = false) {
+  return streamArchive(createDirectoryArchive(sourceDir, internalPath), 'Failed to archive directory');
+}
+
+module.exports = {
+  zipDirectory,
+  streamDirectory,
+  writeArchive,
+  streamArchive
+};
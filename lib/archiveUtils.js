@@ -1,20 +1,18 @@
 const fs = require('fs');
 const path = require('path');
 const archiver = require('archiver');
-const { FileSystemError } = require('./errors.js');
+const { writeArchive, streamArchive } = require('./archive.js');
 
 /**
- * Creates a master ZIP file containing staticsite, images, and metadata
+ * Builds the master archive containing staticsite, images, and metadata, ready to be finalized
  * @param {Object} options - Configuration options
- * @param {string} options.outPath - Output path for the master ZIP file
  * @param {string} options.staticsiteDir - Path to storybook-static directory (optional)
  * @param {string} options.screenshotsDir - Path to screenshots directory
  * @param {Object} options.metadata - Metadata object to include as JSON
- * @returns {Promise<void>} A promise that resolves when the zipping is complete
+ * @returns {archiver.Archiver} The populated archive
  */
-function createMasterZip(options) {
+function buildMasterArchive(options) {
   const {
-    outPath,
     staticsiteDir,
     screenshotsDir,
     metadata
@@ -23,35 +21,46 @@ function createMasterZip(options) {
   const archive = archiver('zip', {
     zlib: { level: 9 } // Sets the compression level
   });
-  const stream = fs.createWriteStream(outPath);
 
-  return new Promise((resolve, reject) => {
-    archive
-      .on('error', err => reject(new FileSystemError(`Failed to create master archive: ${err.message}`)))
-      .pipe(stream);
+  // Add staticsite directory at root (CDN-compliant: index.html at root)
+  if (staticsiteDir && fs.existsSync(staticsiteDir)) {
+    archive.directory(staticsiteDir, false);
+  }
 
-    // Add staticsite directory at root (CDN-compliant: index.html at root)
-    if (staticsiteDir && fs.existsSync(staticsiteDir)) {
-      archive.directory(staticsiteDir, false);
-    }
+  // Add screenshots/images directory if it exists
+  if (screenshotsDir && fs.existsSync(screenshotsDir)) {
+    archive.directory(screenshotsDir, 'images');
+  }
 
-    // Add screenshots/images directory if it exists
-    if (screenshotsDir && fs.existsSync(screenshotsDir)) {
-      archive.directory(screenshotsDir, 'images');
-    }
+  // Add metadata.json file
+  if (metadata) {
+    const metadataJson = JSON.stringify(metadata, null, 2);
+    archive.append(metadataJson, { name: 'metadata.json' });
+  }
 
-    // Add metadata.json file
-    if (metadata) {
-      const metadataJson = JSON.stringify(metadata, null, 2);
-      archive.append(metadataJson, { name: 'metadata.json' });
-    }
+  return archive;
+}
 
-    stream.on('close', () => {
-      resolve();
-    });
+/**
+ * Creates a master ZIP file containing staticsite, images, and metadata
+ * @param {Object} options - Configuration options
+ * @param {string} options.outPath - Output path for the master ZIP file
+ * @param {string} options.staticsiteDir - Path to storybook-static directory (optional)
+ * @param {string} options.screenshotsDir - Path to screenshots directory
+ * @param {Object} options.metadata - Metadata object to include as JSON
+ * @returns {Promise<{size: number, sha256: string, md5: string}>} A promise that resolves with the archive checksums when the zipping is complete
+ */
+function createMasterZip(options) {
+  return writeArchive(buildMasterArchive(options), options.outPath, 'Failed to create master archive');
+}
 
-    archive.finalize();
-  });
+/**
+ * Streams the master archive instead of writing it to disk
+ * @param {Object} options - Same options as createMasterZip, without outPath
+ * @returns {import('stream').Readable} The zip byte stream
+ */
+function streamMasterZip(options) {
+  return streamArchive(buildMasterArchive(options), 'Failed to create master archive');
 }
 
 /**
@@ -59,29 +68,19 @@ function createMasterZip(options) {
  * @param {string} sourceDir - The path to the directory to zip
  * @param {string} outPath - The path to save the output zip file
  * @param {string} internalPath - The internal path within the ZIP (default: no prefix)
- * @returns {Promise<void>} A promise that resolves when the zipping is complete
+ * @returns {Promise<{size: number, sha256: string, md5: string}>} A promise that resolves with the archive checksums when the zipping is complete
  */
 function zipDirectoryWithPath(sourceDir, outPath, internalPath = false) {
   const archive = archiver('zip', {
     zlib: { level: 9 }
   });
-  const stream = fs.createWriteStream(outPath);
+  archive.directory(sourceDir, internalPath);
 
-  return new Promise((resolve, reject) => {
-    archive
-      .directory(sourceDir, internalPath)
-      .on('error', err => reject(new FileSystemError(`Failed to archive directory: ${err.message}`)))
-      .pipe(stream);
-
-    stream.on('close', () => {
-      resolve();
-    });
-    
-    archive.finalize();
-  });
+  return writeArchive(archive, outPath, 'Failed to archive directory');
 }
 
 module.exports = {
   createMasterZip,
+  streamMasterZip,
   zipDirectoryWithPath
-};
\ No newline at end of file
+};
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { UploadError } = require('./errors.js');
+
+// Error codes storage backends use when the uploaded body does not match the declared checksum
+const MISMATCH_CODES = ['BadDigest', 'InvalidDigest', 'XAmzContentChecksumMismatch', 'XAmzContentSHA256Mismatch', 'ChecksumMismatch'];
+
+/**
+ * Creates a hasher that computes SHA-256 and MD5 digests in a single pass.
+ * @returns {{update: function(Buffer): void, digest: function(): {sha256: string, md5: string}}} The hasher.
+ */
+function createChecksumHasher() {
+  const sha256 = crypto.createHash('sha256');
+  const md5 = crypto.createHash('md5');
+
+  return {
+    update(chunk) {
+      sha256.update(chunk);
+      md5.update(chunk);
+    },
+    digest() {
+      return {
+        sha256: sha256.digest('hex'),
+        md5: md5.digest('base64'), // Content-MD5 is base64 encoded
+      };
+    },
+  };
+}
+
+/**
+ * Computes the checksums of an in-memory buffer.
+ * @param {Buffer} buffer The content.
+ * @returns {{sha256: string, md5: string}} Hex SHA-256 and base64 MD5 digests.
+ */
+function computeBufferChecksums(buffer) {
+  const hasher = createChecksumHasher();
+  hasher.update(buffer);
+  return hasher.digest();
+}
+
+/**
+ * Computes the checksums of a file without loading it into memory.
+ * @param {string} filePath Path to the file.
+ * @returns {Promise<{sha256: string, md5: string}>} Hex SHA-256 and base64 MD5 digests.
+ */
+function computeFileChecksums(filePath) {
+  return new Promise((resolve, reject) => {
+    const hasher = createChecksumHasher();
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hasher.update(chunk))
+      .on('end', () => resolve(hasher.digest()));
+  });
+}
+
+/**
+ * Converts a checksum mismatch reported by the storage backend into an UploadError.
+ * @param {Error} error The error thrown by axios for the upload request.
+ * @param {{sha256: string, md5: string}} checksums The checksums that were sent.
+ * @returns {UploadError|null} The mismatch error, or null if the failure has another cause.
+ */
+function toChecksumMismatchError(error, checksums) {
+  if (!error.response || error.response.status !== 400) {
+    return null;
+  }
+
+  const body = typeof error.response.data === 'string' ? error.response.data : JSON.stringify(error.response.data || '');
+  const code = MISMATCH_CODES.find(candidate => body.includes(candidate));
+  if (!code) {
+    return null;
+  }
+  return new UploadError(`Checksum mismatch (${code}): the storage backend received different bytes than were built (expected SHA-256 ${checksums.sha256}). The archive may have been corrupted in transit; please retry the deployment.`);
+}
+
+/**
+ * Verifies the checksum echoed back by the storage backend, if any.
+ * @param {object} response The axios response of the upload request.
+ * @param {{sha256: string, md5: string}} checksums The checksums that were sent.
+ * @throws {UploadError} If the backend reports a different SHA-256.
+ */
+function verifyUploadResponse(response, checksums) {
+  const echoed = response.headers && response.headers['x-amz-checksum-sha256'];
+  if (!echoed) {
+    return;
+  }
+  const expected = Buffer.from(checksums.sha256, 'hex').toString('base64');
+  if (echoed !== expected) {
+    throw new UploadError(`Checksum mismatch: the storage backend stored SHA-256 ${Buffer.from(echoed, 'base64').toString('hex')}, expected ${checksums.sha256}.`);
+  }
+}
+
+module.exports = {
+  createChecksumHasher,
+  computeBufferChecksums,
+  computeFileChecksums,
+  toChecksumMismatchError,
+  verifyUploadResponse
+};
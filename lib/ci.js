@@ -0,0 +1,212 @@
+/**
+ * Reads the first non-empty variable into a context field and records which variable supplied it.
+ * @param {object} context The context being built.
+ * @param {object} env The environment variables.
+ * @param {string} field The context field (prNumber, branch, tag, commitSha, baseBranch or buildUrl).
+ * @param {string[]} names The variables to try, in order.
+ * @param {function(string): *} [transform] Converts the raw value; returning null skips the variable.
+ */
+function readVariable(context, env, field, names, transform = value => value) {
+  if (context[field] !== null) {
+    return;
+  }
+  for (const name of names) {
+    const value = env[name] ? transform(env[name]) : null;
+    if (value !== null && value !== undefined && value !== '') {
+      context[field] = value;
+      context.variables[field] = name;
+      return;
+    }
+  }
+}
+
+/**
+ * Extracts a pull request number from a number, a ref (refs/pull/17/merge) or a pull request URL.
+ * @param {string} value The raw value.
+ * @returns {number|null} The pull request number.
+ */
+function parsePrNumber(value) {
+  const match = String(value).match(/^(\d+)$/) || String(value).match(/(?:^refs\/pull\/|\/pull\/|\/pull-requests\/)(\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Returns a value without a prefix, or null if it does not have the prefix.
+ * @param {string} prefix The prefix (e.g., refs/heads/).
+ * @returns {function(string): string|null} The transform.
+ */
+function stripPrefix(prefix) {
+  return value => (value.startsWith(prefix) ? value.slice(prefix.length) : null);
+}
+
+/**
+ * Extracts a branch name from a ref (refs/heads/main) or a plain branch name.
+ * Other refs, such as tags and pull request merge refs, are not branches.
+ * @param {string} value The raw value.
+ * @returns {string|null} The branch name.
+ */
+function branchFromRef(value) {
+  if (value.startsWith('refs/')) {
+    return stripPrefix('refs/heads/')(value);
+  }
+  return value;
+}
+
+/**
+ * Joins URL parts, or returns null if any part is missing.
+ * @param {...string} parts The URL parts.
+ * @returns {string|null} The URL.
+ */
+function joinUrl(...parts) {
+  return parts.every(Boolean) ? parts.join('') : null;
+}
+
+/**
+ * Supported CI providers, in detection order.
+ * Each reads the provider's environment variables into the fields of a normalized context.
+ */
+const PROVIDERS = [
+  {
+    id: 'github',
+    name: 'GitHub Actions',
+    detect: env => Boolean(env.GITHUB_ACTIONS),
+    read(context, env) {
+      readVariable(context, env, 'prNumber', ['GITHUB_REF'], parsePrNumber);
+      readVariable(context, env, 'branch', ['GITHUB_HEAD_REF']);
+      readVariable(context, env, 'branch', ['GITHUB_REF'], branchFromRef);
+      readVariable(context, env, 'tag', ['GITHUB_REF'], stripPrefix('refs/tags/'));
+      readVariable(context, env, 'commitSha', ['GITHUB_SHA']);
+      readVariable(context, env, 'baseBranch', ['GITHUB_BASE_REF']);
+      context.buildUrl = joinUrl(env.GITHUB_SERVER_URL, '/', env.GITHUB_REPOSITORY, '/actions/runs/', env.GITHUB_RUN_ID);
+    },
+  },
+  {
+    id: 'gitlab',
+    name: 'GitLab CI',
+    detect: env => Boolean(env.GITLAB_CI),
+    read(context, env) {
+      readVariable(context, env, 'prNumber', ['CI_MERGE_REQUEST_IID'], parsePrNumber);
+      readVariable(context, env, 'branch', ['CI_MERGE_REQUEST_SOURCE_BRANCH_NAME', 'CI_COMMIT_BRANCH']);
+      readVariable(context, env, 'tag', ['CI_COMMIT_TAG']);
+      readVariable(context, env, 'commitSha', ['CI_COMMIT_SHA']);
+      readVariable(context, env, 'baseBranch', ['CI_MERGE_REQUEST_TARGET_BRANCH_NAME']);
+      readVariable(context, env, 'buildUrl', ['CI_PIPELINE_URL', 'CI_JOB_URL']);
+    },
+  },
+  {
+    id: 'circleci',
+    name: 'CircleCI',
+    detect: env => Boolean(env.CIRCLECI),
+    read(context, env) {
+      readVariable(context, env, 'prNumber', ['CIRCLE_PR_NUMBER', 'CIRCLE_PULL_REQUEST'], parsePrNumber);
+      readVariable(context, env, 'branch', ['CIRCLE_BRANCH']);
+      readVariable(context, env, 'tag', ['CIRCLE_TAG']);
+      readVariable(context, env, 'commitSha', ['CIRCLE_SHA1']);
+      readVariable(context, env, 'buildUrl', ['CIRCLE_BUILD_URL']);
+    },
+  },
+  {
+    id: 'bitbucket',
+    name: 'Bitbucket Pipelines',
+    detect: env => Boolean(env.BITBUCKET_BUILD_NUMBER),
+    read(context, env) {
+      readVariable(context, env, 'prNumber', ['BITBUCKET_PR_ID'], parsePrNumber);
+      readVariable(context, env, 'branch', ['BITBUCKET_BRANCH']);
+      readVariable(context, env, 'tag', ['BITBUCKET_TAG']);
+      readVariable(context, env, 'commitSha', ['BITBUCKET_COMMIT']);
+      readVariable(context, env, 'baseBranch', ['BITBUCKET_PR_DESTINATION_BRANCH']);
+      context.buildUrl = joinUrl(env.BITBUCKET_GIT_HTTP_ORIGIN, '/addon/pipelines/home#!/results/', env.BITBUCKET_BUILD_NUMBER);
+    },
+  },
+  {
+    id: 'azure',
+    name: 'Azure Pipelines',
+    detect: env => Boolean(env.TF_BUILD),
+    read(context, env) {
+      // GitHub pull requests set the number; Azure Repos pull requests only have an ID
+      readVariable(context, env, 'prNumber', ['SYSTEM_PULLREQUEST_PULLREQUESTNUMBER', 'SYSTEM_PULLREQUEST_PULLREQUESTID'], parsePrNumber);
+      readVariable(context, env, 'branch', ['SYSTEM_PULLREQUEST_SOURCEBRANCH', 'BUILD_SOURCEBRANCH'], branchFromRef);
+      readVariable(context, env, 'tag', ['BUILD_SOURCEBRANCH'], stripPrefix('refs/tags/'));
+      readVariable(context, env, 'commitSha', ['BUILD_SOURCEVERSION']);
+      readVariable(context, env, 'baseBranch', ['SYSTEM_PULLREQUEST_TARGETBRANCH'], branchFromRef);
+      context.buildUrl = joinUrl(env.SYSTEM_TEAMFOUNDATIONCOLLECTIONURI, env.SYSTEM_TEAMPROJECT, '/_build/results?buildId=', env.BUILD_BUILDID);
+    },
+  },
+  {
+    id: 'jenkins',
+    name: 'Jenkins',
+    detect: env => Boolean(env.JENKINS_URL),
+    read(context, env) {
+      // CHANGE_* variables are set by multibranch pipelines for pull requests
+      readVariable(context, env, 'prNumber', ['CHANGE_ID'], parsePrNumber);
+      readVariable(context, env, 'tag', ['TAG_NAME']);
+      readVariable(context, env, 'branch', ['CHANGE_BRANCH', 'BRANCH_NAME']);
+      readVariable(context, env, 'branch', ['GIT_BRANCH'], value => value.replace(/^(origin|refs\/heads)\//, ''));
+      readVariable(context, env, 'commitSha', ['GIT_COMMIT']);
+      readVariable(context, env, 'baseBranch', ['CHANGE_TARGET']);
+      readVariable(context, env, 'buildUrl', ['BUILD_URL']);
+    },
+  },
+  {
+    id: 'buildkite',
+    name: 'Buildkite',
+    detect: env => Boolean(env.BUILDKITE),
+    read(context, env) {
+      // BUILDKITE_PULL_REQUEST is "false" outside pull request builds
+      readVariable(context, env, 'prNumber', ['BUILDKITE_PULL_REQUEST'], parsePrNumber);
+      readVariable(context, env, 'branch', ['BUILDKITE_BRANCH']);
+      readVariable(context, env, 'tag', ['BUILDKITE_TAG']);
+      readVariable(context, env, 'commitSha', ['BUILDKITE_COMMIT']);
+      readVariable(context, env, 'baseBranch', ['BUILDKITE_PULL_REQUEST_BASE_BRANCH']);
+      readVariable(context, env, 'buildUrl', ['BUILDKITE_BUILD_URL']);
+    },
+  },
+];
+
+/**
+ * Detects the CI provider running the process and reads its build context.
+ * @param {object} [env] The environment variables (default: process.env).
+ * @returns {{provider: string, name: string, prNumber: number|null, branch: string|null, tag: string|null,
+ *   commitSha: string|null, baseBranch: string|null, buildUrl: string|null, variables: object}|null} The normalized context, or null outside CI.
+ *   `variables` names the variable each field was read from.
+ */
+function detectCiContext(env = process.env) {
+  const provider = PROVIDERS.find(candidate => candidate.detect(env));
+  if (!provider) {
+    return null;
+  }
+
+  const context = {
+    provider: provider.id,
+    name: provider.name,
+    prNumber: null,
+    branch: null,
+    tag: null,
+    commitSha: null,
+    // Target branch of the pull request
+    baseBranch: null,
+    buildUrl: null,
+    variables: {},
+  };
+  provider.read(context, env);
+  return context;
+}
+
+/**
+ * Describes the CI build for metadata.json and run results, without the variable names.
+ * @param {object} [env] The environment variables (default: process.env).
+ * @returns {object|null} The provider, PR number, branch, tag, commit SHA, base branch and build URL, or null outside CI.
+ */
+function getCiMetadata(env = process.env) {
+  const context = detectCiContext(env);
+  if (!context) {
+    return null;
+  }
+  const { variables, ...metadata } = context;
+  return metadata;
+}
+
+module.exports = {
+  detectCiContext,
+  getCiMetadata
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+
+// Extensions tried, in order, for imports written without one; .vue files are always imported with theirs
+const SOURCE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js', '.mjs', '.cjs'];
+
+/**
+ * Resolves a relative import to the file it loads.
+ * Also resolves `./Button.js` to Button.tsx, as TypeScript does for ES modules.
+ * @param {string} fromFile The importing file.
+ * @param {string} source The import path (e.g., './Button').
+ * @returns {string|null} The absolute file path, or null for package imports, path aliases and missing files.
+ */
+function resolveImportPath(fromFile, source) {
+  if (!source.startsWith('.')) {
+    return null;
+  }
+  const base = path.resolve(path.dirname(fromFile), source);
+  const stem = base.replace(/\.[cm]?js$/, '');
+  const candidates = [
+    base,
+    ...SOURCE_EXTENSIONS.map(extension => stem + extension),
+    ...SOURCE_EXTENSIONS.map(extension => path.join(base, `index${extension}`)),
+  ];
+  return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+/**
+ * Picks the docgen tool for a component file.
+ * @param {string} filePath The component file.
+ * @returns {'react'|'vue'} The framework.
+ */
+function detectFramework(filePath) {
+  return path.extname(filePath).toLowerCase() === '.vue' ? 'vue' : 'react';
+}
+
+/**
+ * Creates a react-docgen-typescript parser, with the project's tsconfig.json if the working directory has one.
+ * @returns {object} The parser.
+ * @throws {Error} If typescript is not installed.
+ */
+function createReactParser() {
+  const ts = require('typescript');
+  const docgen = require('react-docgen-typescript');
+
+  const options = {
+    savePropValueAsString: true,
+    shouldExtractLiteralValuesFromEnum: true,
+    shouldRemoveUndefinedFromOptional: true,
+    // Leave out props inherited from libraries, such as every HTML attribute of a button
+    propFilter: prop => !(prop.parent && prop.parent.fileName.includes('node_modules')),
+  };
+
+  const tsconfig = path.resolve('tsconfig.json');
+  if (fs.existsSync(tsconfig)) {
+    return docgen.withCustomConfig(tsconfig, options);
+  }
+  return docgen.withCompilerOptions({
+    jsx: ts.JsxEmit.ReactJSX,
+    allowJs: true,
+    esModuleInterop: true,
+    moduleResolution: ts.ModuleResolutionKind.NodeJs,
+    target: ts.ScriptTarget.Latest,
+  }, options);
+}
+
+/**
+ * Converts a react-docgen-typescript result to a component description.
+ * @param {object} doc The ComponentDoc.
+ * @returns {{displayName: string, description: string, props: Array<object>}} The description.
+ */
+function fromReactDoc(doc) {
+  return {
+    displayName: doc.displayName,
+    description: doc.description || '',
+    props: Object.values(doc.props).map(prop => ({
+      name: prop.name,
+      type: prop.type.raw || prop.type.name,
+      required: Boolean(prop.required),
+      defaultValue: prop.defaultValue ? String(prop.defaultValue.value) : null,
+      description: prop.description || '',
+    })),
+  };
+}
+
+/**
+ * Converts a vue-docgen-api result to a component description.
+ * @param {object} doc The ComponentDoc.
+ * @returns {{displayName: string, description: string, props: Array<object>}} The description.
+ */
+function fromVueDoc(doc) {
+  return {
+    displayName: doc.displayName,
+    description: doc.description || '',
+    props: (doc.props || []).map(prop => ({
+      name: prop.name,
+      type: prop.type ? prop.type.name : null,
+      required: Boolean(prop.required),
+      defaultValue: prop.defaultValue ? String(prop.defaultValue.value) : null,
+      description: prop.description || '',
+    })),
+  };
+}
+
+/**
+ * Picks the component a story documents among those declared in its file.
+ * @param {Array<object>} docs The components of the file.
+ * @param {string} componentName The component name in the story file (e.g., `Button` or `Forms.Input`).
+ * @returns {object|null} The matching component, the only one in the file, or null.
+ */
+function pickDoc(docs, componentName) {
+  const name = componentName.split('.').pop();
+  return docs.find(doc => doc.displayName === name) || (docs.length === 1 ? docs[0] : null);
+}
+
+/**
+ * Extracts the props of the components that stories document: names, types, defaults, required flags and descriptions.
+ * React components are read with react-docgen-typescript (which needs the project's typescript package), Vue single-file
+ * components with vue-docgen-api. Components that cannot be read are left out with a warning.
+ * @param {Array<{componentName: string|null, componentPath?: string|null}>} stories Story entries from the analysis.
+ * @returns {Promise<Array<{name: string, filepath: string, framework: string, displayName: string, description: string,
+ *   props: Array<{name: string, type: string|null, required: boolean, defaultValue: string|null, description: string}>}>>}
+ *   One entry per component, in the order stories reference them.
+ */
+async function extractComponentDocs(stories) {
+  const components = new Map();
+  stories
+    .filter(story => story.componentName && story.componentPath)
+    .forEach(story => {
+      const key = `${story.componentPath}#${story.componentName}`;
+      if (!components.has(key)) {
+        components.set(key, { name: story.componentName, filepath: story.componentPath, framework: detectFramework(story.componentPath) });
+      }
+    });
+  if (components.size === 0) {
+    return [];
+  }
+
+  // Parse every file once; React files share a single TypeScript program
+  const docsByFile = new Map();
+  const reactFiles = [...new Set([...components.values()].filter(component => component.framework === 'react').map(component => component.filepath))];
+  if (reactFiles.length > 0) {
+    try {
+      const docs = createReactParser().parse(reactFiles.map(file => path.resolve(file)));
+      reactFiles.forEach(file => docsByFile.set(file, docs.filter(doc => doc.filePath === path.resolve(file)).map(fromReactDoc)));
+    } catch (error) {
+      const reason = error.code === 'MODULE_NOT_FOUND' ? 'install typescript to extract them' : error.message;
+      console.warn(`⚠️  Skipped the props of ${reactFiles.length} React component file(s): ${reason}`);
+    }
+  }
+
+  const vueFiles = [...new Set([...components.values()].filter(component => component.framework === 'vue').map(component => component.filepath))];
+  if (vueFiles.length > 0) {
+    const { parse } = require('vue-docgen-api');
+    for (const file of vueFiles) {
+      try {
+        docsByFile.set(file, [fromVueDoc(await parse(path.resolve(file)))]);
+      } catch (error) {
+        console.warn(`⚠️  Could not read the props of ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  return [...components.values()]
+    .map(component => {
+      const doc = docsByFile.has(component.filepath) ? pickDoc(docsByFile.get(component.filepath), component.name) : null;
+      return doc && { ...component, ...doc };
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  resolveImportPath,
+  extractComponentDocs
+};
@@ -1,6 +1,11 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const YAML = require('yaml');
+const { ConfigError } = require('./errors.js');
+const { detectCiContext } = require('./ci.js');
+const { inferVersionFromTemplate } = require('./versionTemplate.js');
+const { CONFIG_SCHEMA, validateValue, suggestKey } = require('./configSchema.js');
 
 /**
  * Default configuration for storybook-deployer
@@ -8,17 +13,46 @@ const os = require('os');
 const DEFAULT_CONFIG = {
   apiUrl: 'https://api.default-service.com/v1',
   verbose: false,
+  json: false,
   // Users should set these values
   apiKey: '',
   dir: './storybook-static',
   // Project and version for deployment
   project: '',
   version: '',
+  // Name of the entry in `profiles` to apply on top of the base config
+  profile: null,
+  // Template(s) for the inferred version, e.g. "{branch}-{shortSha}"; null uses pr-{pr}, {tag}, {branch}, {shortSha} on CI
+  versionTemplate: null,
+  versionMaxLength: 63,
+  // Upload options
+  incremental: false,
+  stream: false,
+  multipart: false,
+  partSize: 16, // MiB per part in multipart mode
+  // Retry policy for API and upload requests
+  retryAttempts: 3,
+  retryBaseDelay: 1000, // ms, doubled after each failed attempt
+  retryMaxDelay: 30000, // ms
+  retryJitter: true,
+  // Build the archive without uploading it, and keep it on disk afterwards
+  dryRun: false,
+  keepArchive: false,
   // Analysis options
   withAnalysis: false,
   storiesDir: null, // null enables auto-detection of .stories.* files
+  storySource: 'auto', // the build's index.json if it has one, else the story files
+  componentDocs: true, // extract the props of documented components
   screenshotsDir: './__screenshots__',
   storybookUrl: '',
+  // Monorepo mode: Storybooks deployed in one run, or discovered from the workspaces
+  projects: null,
+  discoverProjects: false,
+  concurrency: 2, // projects deployed at the same time
+  // Only deploy Storybooks changed since a git ref; unchanged ones are aliased to baseVersion
+  affected: false,
+  since: null,
+  baseVersion: null,
   storycapOptions: {
     chromiumPath: '',
     outDir: './__screenshots__',
@@ -30,8 +64,24 @@ const DEFAULT_CONFIG = {
   }
 };
 
+// Config keys whose environment variable values are converted from strings
+const BOOLEAN_KEYS = ['verbose', 'json', 'withAnalysis', 'incremental', 'stream', 'multipart', 'retryJitter', 'dryRun', 'keepArchive', 'discoverProjects', 'affected', 'componentDocs'];
+const NUMBER_KEYS = ['partSize', 'retryAttempts', 'retryBaseDelay', 'retryMaxDelay', 'versionMaxLength', 'concurrency'];
+
+// Config files looked up in each directory from the working directory up to the repository root, in order of preference
+const CONFIG_FILES = [
+  'storybook-deploy.config.js',
+  'storybook-deploy.config.mjs',
+  'storybook-deploy.config.ts',
+  '.storybook-deployer.json',
+  '.storybook-deployer.yml',
+  '.storybook-deployer.yaml',
+  'package.json'
+];
+const PACKAGE_JSON_KEY = 'storybookDeployer';
+
 /**
- * Get the config file path in the project directory
+ * Get the path where a new config file is created (the working directory)
  */
 function getConfigPath() {
   return path.join(process.cwd(), '.storybook-deployer.json');
@@ -57,139 +107,396 @@ function createDefaultConfig() {
 }
 
 /**
- * Detect if running in GitHub Actions and extract version information
+ * Describe where a configuration value came from
+ * @param {{type: string, name: string}} source The source recorded by resolveConfig
+ * @returns {string} A human-readable description (e.g., "environment variable SCRY_VERSION")
  */
-function detectGitHubActionsContext() {
-  // Only detect if running in GitHub Actions environment
-  if (!process.env.GITHUB_ACTIONS) {
-    return {};
+function describeSource(source) {
+  switch (source.type) {
+    case 'file':
+      return `config file ${source.name}`;
+    case 'profile':
+      return `profile '${source.name}' in config file ${source.file}`;
+    case 'env':
+      return `environment variable ${source.name}`;
+    case 'ci':
+      return `${source.provider} context (${source.name})`;
+    case 'template':
+      return `version template "${source.name}"${source.inputs.length > 0 ? ` (${source.inputs.join(', ')})` : ''}`;
+    case 'cli':
+      return `command-line flag ${source.name}`;
+    case 'option':
+      return 'programmatic options';
+    default:
+      return 'default value';
   }
+}
+
+/**
+ * Find the nearest config file, walking up from `startDir` to the repository root
+ * Returns the file path, or null if there is none
+ */
+function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
 
-  const context = {};
+  for (;;) {
+    const configPath = findConfigFileIn(dir);
+    if (configPath) {
+      return configPath;
+    }
 
-  // Detect version based on GitHub event type
-  const eventName = process.env.GITHUB_EVENT_NAME;
-  const ref = process.env.GITHUB_REF; // e.g., refs/pull/17/merge, refs/heads/main
+    const parent = path.dirname(dir);
+    if (fs.existsSync(path.join(dir, '.git')) || parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
 
-  if (eventName === 'pull_request' && ref) {
-    // Extract PR number from ref like "refs/pull/17/merge"
-    const prMatch = ref.match(/refs\/pull\/(\d+)\//);
-    if (prMatch && prMatch[1]) {
-      context.version = `pr-${prMatch[1]}`;
+/**
+ * Find the preferred config file in a single directory, or null if it has none
+ */
+function findConfigFileIn(dir) {
+  for (const name of CONFIG_FILES) {
+    const candidate = path.join(dir, name);
+    if (!fs.existsSync(candidate)) {
+      continue;
+    }
+    // package.json only counts if it has a storybookDeployer key
+    if (name !== 'package.json' || readPackageConfig(candidate) !== undefined) {
+      return candidate;
     }
-  } else if (ref) {
-    // For other events, extract branch name
-    if (ref.startsWith('refs/heads/')) {
-      const branch = ref.replace('refs/heads/', '');
-      // Use branch name, sanitize it for URL safety
-      context.version = branch.replace(/[^a-zA-Z0-9-_]/g, '-');
-    } else if (ref.startsWith('refs/tags/')) {
-      const tag = ref.replace('refs/tags/', '');
-      context.version = tag.replace(/[^a-zA-Z0-9-_.]/g, '-');
+  }
+  return null;
+}
+
+/**
+ * Read the storybookDeployer key of a package.json, ignoring files that cannot be parsed
+ */
+function readPackageConfig(packagePath) {
+  try {
+    return JSON.parse(fs.readFileSync(packagePath, 'utf8'))[PACKAGE_JSON_KEY];
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Load a JavaScript or TypeScript config file; its export may be an object or a function returning one
+ */
+function loadModuleConfig(configPath) {
+  // jiti loads ES modules and TypeScript synchronously, so loadConfig stays synchronous
+  const jiti = require('jiti')(__filename, { interopDefault: true, cache: false, requireCache: false });
+  const exported = jiti(configPath);
+  const fileConfig = typeof exported === 'function' ? exported() : exported;
+
+  if (fileConfig && typeof fileConfig.then === 'function') {
+    throw new Error('the exported function must return the configuration object, not a promise');
+  }
+  return fileConfig;
+}
+
+/**
+ * Describe the config file as a source, including the package.json key it was read from
+ */
+function describeConfigFile(configPath) {
+  return path.basename(configPath) === 'package.json'
+    ? `${configPath} ("${PACKAGE_JSON_KEY}" key)`
+    : configPath;
+}
+
+/**
+ * Read the config file, if there is one
+ */
+function loadFileConfig(configPath) {
+  if (!configPath) {
+    return {};
+  }
+
+  let fileConfig;
+  try {
+    const extension = path.extname(configPath);
+    if (path.basename(configPath) === 'package.json') {
+      fileConfig = readPackageConfig(configPath);
+    } else if (extension === '.yml' || extension === '.yaml') {
+      fileConfig = YAML.parse(fs.readFileSync(configPath, 'utf8'));
+    } else if (extension === '.json') {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } else {
+      fileConfig = loadModuleConfig(configPath);
     }
+  } catch (error) {
+    throw new ConfigError(`Could not read config file at ${configPath}: ${error.message}`);
+  }
+
+  if (fileConfig === null || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+    throw new ConfigError(`Config file at ${describeConfigFile(configPath)} must contain an object`);
   }
+  return fileConfig;
+}
+
+/**
+ * Derive the version from the CI context and the version template.
+ * Outside CI, a version is only inferred when a template is configured.
+ */
+function detectCiVersion(versionTemplate, maxLength, where) {
+  const context = { values: {}, sources: {} };
+  const ci = detectCiContext();
 
-  // If we couldn't determine version from ref, use commit SHA
-  if (!context.version && process.env.GITHUB_SHA) {
-    context.version = process.env.GITHUB_SHA.substring(0, 7);
+  // Invalid values are reported by validation; fall back to the defaults until then
+  const isTemplate = value => typeof value === 'string' || (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string'));
+  const template = isTemplate(versionTemplate) ? versionTemplate : null;
+  if (!ci && !template) {
+    return context;
   }
 
+  const inferred = inferVersionFromTemplate(template, {
+    ci,
+    maxLength: Number.isInteger(maxLength) && maxLength >= 16 ? maxLength : DEFAULT_CONFIG.versionMaxLength,
+    where
+  });
+  if (inferred) {
+    context.values.version = inferred.version;
+    context.sources.version = template
+      ? { type: 'template', name: inferred.template, inputs: inferred.inputs }
+      : { type: 'ci', name: inferred.inputs.join(', '), provider: ci.name };
+  }
   return context;
 }
 
+/**
+ * Convert an environment variable value to the type of its config key.
+ * Values that cannot be converted are kept as strings so validation can report them.
+ */
+function convertEnvValue(configKey, envValue) {
+  if (BOOLEAN_KEYS.includes(configKey)) {
+    const normalized = envValue.toLowerCase();
+    if (['true', '1', 'yes'].includes(normalized)) {
+      return true;
+    }
+    if (['false', '0', 'no'].includes(normalized)) {
+      return false;
+    }
+  } else if (NUMBER_KEYS.includes(configKey)) {
+    const number = Number(envValue);
+    if (envValue.trim() !== '' && !Number.isNaN(number)) {
+      return number;
+    }
+  }
+  return envValue;
+}
+
 /**
  * Load environment variables with SCRY_ or STORYBOOK_DEPLOYER_ prefix
  */
 function loadEnvConfig() {
-  const envConfig = {};
-  
+  const envConfig = { values: {}, sources: {} };
+
   // Map environment variable names to config keys
   const envMapping = {
     'API_URL': 'apiUrl',
     'VERBOSE': 'verbose',
+    'JSON': 'json',
     'API_KEY': 'apiKey',
     'DIR': 'dir',
     'PROJECT': 'project',
     'VERSION': 'version',
+    'PROFILE': 'profile',
+    'VERSION_TEMPLATE': 'versionTemplate',
+    'VERSION_MAX_LENGTH': 'versionMaxLength',
     'WITH_ANALYSIS': 'withAnalysis',
     'STORIES_DIR': 'storiesDir',
+    'STORY_SOURCE': 'storySource',
+    'COMPONENT_DOCS': 'componentDocs',
     'SCREENSHOTS_DIR': 'screenshotsDir',
-    'STORYBOOK_URL': 'storybookUrl'
+    'STORYBOOK_URL': 'storybookUrl',
+    'INCREMENTAL': 'incremental',
+    'STREAM': 'stream',
+    'MULTIPART': 'multipart',
+    'PART_SIZE': 'partSize',
+    'RETRY_ATTEMPTS': 'retryAttempts',
+    'RETRY_BASE_DELAY': 'retryBaseDelay',
+    'RETRY_MAX_DELAY': 'retryMaxDelay',
+    'RETRY_JITTER': 'retryJitter',
+    'DRY_RUN': 'dryRun',
+    'KEEP_ARCHIVE': 'keepArchive',
+    'DISCOVER_PROJECTS': 'discoverProjects',
+    'CONCURRENCY': 'concurrency',
+    'AFFECTED': 'affected',
+    'SINCE': 'since',
+    'BASE_VERSION': 'baseVersion'
   };
-  
+
   Object.keys(envMapping).forEach(envKey => {
     const configKey = envMapping[envKey];
-    
+
     // Check SCRY_ prefix first (new standard), then fall back to STORYBOOK_DEPLOYER_ for backward compatibility
-    const scryEnvKey = 'SCRY_' + envKey;
-    const legacyEnvKey = 'STORYBOOK_DEPLOYER_' + envKey;
-    
     // Handle special case for PROJECT_ID vs PROJECT
-    let envValue = process.env[scryEnvKey];
-    if (!envValue && envKey === 'PROJECT') {
-      envValue = process.env['SCRY_PROJECT_ID'];
+    const candidates = ['SCRY_' + envKey];
+    if (envKey === 'PROJECT') {
+      candidates.push('SCRY_PROJECT_ID');
     }
-    if (!envValue) {
-      envValue = process.env[legacyEnvKey];
-    }
-    
+    candidates.push('STORYBOOK_DEPLOYER_' + envKey);
+
     // Filter out undefined and empty string values to prevent overriding CLI args
-    if (envValue !== undefined && envValue !== '') {
-      // Convert string values to appropriate types
-      if (configKey === 'verbose' || configKey === 'withAnalysis') {
-        envConfig[configKey] = envValue.toLowerCase() === 'true';
-      } else {
-        envConfig[configKey] = envValue;
-      }
+    const envName = candidates.find(name => process.env[name] !== undefined && process.env[name] !== '');
+    if (envName) {
+      envConfig.values[configKey] = convertEnvValue(configKey, process.env[envName]);
+      envConfig.sources[configKey] = { type: 'env', name: envName };
     }
   });
-  
+
   return envConfig;
 }
 
 /**
- * Load configuration from file, merging with provided options
+ * Convert a camelCase config key to its command-line flag
  */
-function loadConfig(cliArgs = {}) {
-  const configPath = getConfigPath();
-  let fileConfig = {};
-  
-  if (fs.existsSync(configPath)) {
-    try {
-      const configContent = fs.readFileSync(configPath, 'utf8');
-      fileConfig = JSON.parse(configContent);
-    } catch (error) {
-      console.warn(`⚠️  Could not read config file at ${configPath}: ${error.message}`);
+function toFlag(key) {
+  return '--' + key.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+}
+
+/**
+ * Check the merged configuration against the schema, naming the source of every bad value
+ */
+function validateConfig(config, sources) {
+  const issues = [];
+
+  Object.keys(config).forEach(key => {
+    const source = sources[key];
+    // CLI arguments also carry yargs internals and command positionals; yargs validates those itself
+    // Profile values are checked as part of the `profiles` key of the config file
+    if (!source || source.type === 'profile' || (source.type === 'cli' && !CONFIG_SCHEMA.properties[key])) {
+      return;
     }
+
+    validateValue(CONFIG_SCHEMA, { [key]: config[key] }).forEach(problem => {
+      const where = describeSource(source);
+      let message = `'${problem.path}' from ${where} ${problem.message}`;
+      if (problem.suggestion) {
+        message += `. Did you mean '${problem.suggestion}'?`;
+      }
+      issues.push({ key: problem.path, source: where, message });
+    });
+  });
+
+  if (issues.length > 0) {
+    const details = issues.map(issue => `  - ${issue.message}`).join('\n');
+    throw new ConfigError(`Invalid configuration:\n${details}`, issues);
   }
-  
-  // Load environment variables
+}
+
+/**
+ * Pick the selected profile from the `profiles` of the config file
+ */
+function selectProfile(profiles, name, configPath) {
+  if (name === undefined || name === null) {
+    return {};
+  }
+
+  const names = profiles && typeof profiles === 'object' ? Object.keys(profiles) : [];
+  if (!names.includes(name)) {
+    if (names.length === 0) {
+      throw new ConfigError(`Profile '${name}' was selected, but ${configPath ? `config file ${describeConfigFile(configPath)}` : 'no config file'} defines no profiles`);
+    }
+    const suggestion = suggestKey(name, names);
+    throw new ConfigError(`Unknown profile '${name}'.${suggestion ? ` Did you mean '${suggestion}'?` : ''} Available profiles: ${names.join(', ')}`);
+  }
+
+  // A profile that is not an object is reported by validation of the `profiles` key
+  const profile = profiles[name];
+  return profile && typeof profile === 'object' && !Array.isArray(profile) ? profile : {};
+}
+
+/**
+ * Resolve the configuration and record where each value came from.
+ * `options.argsSource` is 'cli' for parsed command-line arguments and 'option' for programmatic calls.
+ * Returns the merged config, the source of every value, the values each source overrode, the config file used
+ * and the names of the profiles it defines.
+ */
+function resolveConfig(cliArgs = {}, options = {}) {
+  const argsSource = options.argsSource || 'cli';
+  const configPath = findConfigFile();
+  const config = {};
+  const sources = {};
+  const overrides = {};
+
+  const apply = (values, sourceFor) => {
+    Object.keys(values).forEach(key => {
+      if (values[key] === undefined) {
+        return;
+      }
+      if (sources[key] && sources[key].type !== 'default') {
+        overrides[key] = [{ value: config[key], source: sources[key] }, ...(overrides[key] || [])];
+      }
+      config[key] = values[key];
+      sources[key] = sourceFor(key);
+    });
+  };
+
+  // Precedence: CLI arguments > CI context > environment variables > file config > defaults
+  // This ensures CI auto-detection works even if env vars are set to empty strings
+  // The selected profile sits between the file's base values and the environment
+  const fileConfig = loadFileConfig(configPath);
   const envConfig = loadEnvConfig();
-  
-  // Detect GitHub Actions context
-  const githubContext = detectGitHubActionsContext();
-  
-  // Precedence: CLI arguments > GitHub Actions context > environment variables > file config > defaults
-  // This ensures GitHub Actions auto-detection works even if env vars are set to empty strings
+  const profileName = [cliArgs.profile, envConfig.values.profile, fileConfig.profile].find(name => name !== undefined);
+  const profile = selectProfile(fileConfig.profiles, profileName, configPath);
+
+  apply(DEFAULT_CONFIG, () => ({ type: 'default', name: 'default' }));
+  apply(fileConfig, () => ({ type: 'file', name: describeConfigFile(configPath) }));
+  apply(profile, () => ({ type: 'profile', name: profileName, file: describeConfigFile(configPath) }));
+  apply(envConfig.values, key => envConfig.sources[key]);
+
+  // The version template can come from any source, including the CLI arguments applied last
+  const argsSourceFor = key => ({ type: argsSource, name: argsSource === 'cli' ? toFlag(key) : key });
+  const current = key => (cliArgs[key] !== undefined ? cliArgs[key] : config[key]);
+  const ciContext = detectCiVersion(
+    current('versionTemplate'),
+    current('versionMaxLength'),
+    describeSource(cliArgs.versionTemplate !== undefined ? argsSourceFor('versionTemplate') : sources.versionTemplate)
+  );
+  apply(ciContext.values, key => ciContext.sources[key]);
+  apply(cliArgs, argsSourceFor);
+
+  validateConfig(config, sources);
   return {
-    ...DEFAULT_CONFIG,
-    ...fileConfig,
-    ...envConfig,
-    ...githubContext,
-    ...cliArgs
+    config,
+    sources,
+    overrides,
+    configFile: configPath,
+    profiles: fileConfig.profiles && typeof fileConfig.profiles === 'object' ? Object.keys(fileConfig.profiles) : []
   };
 }
 
+/**
+ * Load configuration from file, merging with provided options
+ */
+function loadConfig(cliArgs = {}, options = {}) {
+  return resolveConfig(cliArgs, options).config;
+}
+
+/**
+ * Load the config file of a workspace package, without walking up to the repository root
+ * Returns the values and a description of the file, or null if the package has no config file
+ */
+function loadPackageConfig(dir) {
+  const configPath = findConfigFileIn(dir);
+  return configPath ? { values: loadFileConfig(configPath), file: describeConfigFile(configPath) } : null;
+}
+
 /**
  * Get the path to the config file (for user reference)
  */
 function getConfigFilePath() {
-  return getConfigPath();
+  return findConfigFile() || getConfigPath();
 }
 
 module.exports = {
   createDefaultConfig,
   loadConfig,
+  resolveConfig,
+  describeSource,
+  loadPackageConfig,
   getConfigFilePath,
   DEFAULT_CONFIG
 };
\ No newline at end of file
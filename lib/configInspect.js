@@ -0,0 +1,78 @@
+const { CONFIG_SCHEMA } = require('./configSchema.js');
+const { describeSource } = require('./config.js');
+const { formatTable } = require('./table.js');
+
+// Config keys whose values are never printed
+const SECRET_KEYS = ['apiKey'];
+
+/**
+ * Hides the value of a secret key, keeping only whether it is set.
+ * @param {string} key The config key.
+ * @param {*} value The value.
+ * @returns {*} The value, or a placeholder for non-empty secrets.
+ */
+function redactValue(key, value) {
+  if (SECRET_KEYS.includes(key) && value) {
+    return '********';
+  }
+  return value;
+}
+
+/**
+ * Lists the effective value of every config option with the source it came from.
+ * @param {{config: object, sources: object, overrides: object}} resolved The result of resolveConfig.
+ * @returns {Array<{key: string, value: *, source: object, overrides: Array<{value: *, source: object}>}>} The entries, in schema order.
+ */
+function describeConfig(resolved) {
+  // Profile and project definitions are listed by name instead
+  return Object.keys(CONFIG_SCHEMA.properties)
+    .filter(key => key in resolved.config && key !== 'profiles' && key !== 'projects')
+    .map(key => ({
+      key,
+      value: redactValue(key, resolved.config[key]),
+      source: resolved.sources[key],
+      overrides: (resolved.overrides[key] || []).map(override => ({
+        value: redactValue(key, override.value),
+        source: override.source,
+      })),
+    }));
+}
+
+/**
+ * Formats a config value for display.
+ * @param {*} value The value.
+ * @returns {string} The formatted value.
+ */
+function formatValue(value) {
+  if (typeof value === 'string' && value !== '') {
+    return value;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Formats config entries as an aligned text table, followed by the values that were overridden.
+ * @param {Array<object>} entries The entries (see describeConfig).
+ * @returns {string} The table.
+ */
+function formatConfigTable(entries) {
+  const rows = entries.map(entry => [entry.key, formatValue(entry.value), describeSource(entry.source)]);
+  const lines = [formatTable(['KEY', 'VALUE', 'SOURCE'], rows)];
+
+  const overridden = entries.filter(entry => entry.overrides.length > 0);
+  if (overridden.length > 0) {
+    lines.push('', 'Overridden values:');
+    overridden.forEach(entry => {
+      entry.overrides.forEach(override => {
+        lines.push(`  ${entry.key}: ${formatValue(override.value)} from ${describeSource(override.source)}`);
+      });
+    });
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  describeConfig,
+  formatConfigTable
+};
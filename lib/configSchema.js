@@ -0,0 +1,253 @@
+// Options that can be set at the top level of the config and in each profile
+const OPTION_PROPERTIES = {
+  apiUrl: { type: 'string', description: 'Base URL of the deployment service API' },
+  verbose: { type: 'boolean', description: 'Enable verbose logging' },
+  json: { type: 'boolean', description: 'Print a machine-readable JSON result' },
+  apiKey: { type: 'string', description: 'API key for the deployment service' },
+  dir: { type: 'string', description: 'Path to the built Storybook directory' },
+  project: { type: 'string', description: 'Project name/identifier' },
+  version: { type: 'string', description: 'Version identifier for the deployment' },
+  versionTemplate: {
+    type: ['string', 'array', 'null'],
+    items: { type: 'string' },
+    description: 'Template(s) for the inferred version, e.g. "{branch}-{shortSha}"; the first that resolves wins',
+  },
+  versionMaxLength: { type: 'integer', minimum: 16, description: 'Maximum length of an inferred version' },
+  incremental: { type: 'boolean', description: 'Upload only files the deployment service does not have yet' },
+  stream: { type: 'boolean', description: 'Stream the archive into the upload' },
+  multipart: { type: 'boolean', description: 'Upload the archive in resumable parts' },
+  partSize: { type: 'number', minimum: 5, description: 'Part size in MiB for multipart uploads' },
+  retryAttempts: { type: 'integer', minimum: 1, description: 'Maximum attempts for API and upload requests' },
+  retryBaseDelay: { type: 'number', minimum: 0, description: 'Delay in ms before the first retry' },
+  retryMaxDelay: { type: 'number', minimum: 0, description: 'Upper bound in ms for the delay between retries' },
+  retryJitter: { type: 'boolean', description: 'Randomize retry delays' },
+  dryRun: { type: 'boolean', description: 'Build the archive without uploading it' },
+  keepArchive: { type: 'boolean', description: 'Keep the built archive on disk' },
+  withAnalysis: { type: 'boolean', description: 'Include Storybook analysis (screenshots, metadata)' },
+  storiesDir: { type: ['string', 'null'], description: 'Directory containing story files; null auto-detects' },
+  storySource: {
+    type: 'string',
+    enum: ['auto', 'index', 'source'],
+    description: "Where the analysis lists stories from: the build's index.json, the story files, or the index if there is one",
+  },
+  componentDocs: { type: 'boolean', description: 'Extract the props of the components stories document' },
+  screenshotsDir: { type: 'string', description: 'Directory for screenshots' },
+  storybookUrl: { type: 'string', description: 'URL of the Storybook for screenshot capture' },
+  discoverProjects: { type: 'boolean', description: 'Deploy every workspace package that has a built Storybook' },
+  concurrency: { type: 'integer', minimum: 1, description: 'Maximum projects deployed at the same time' },
+  affected: { type: 'boolean', description: 'Only deploy Storybooks changed since the pull request target branch' },
+  since: { type: ['string', 'null'], description: 'Git ref to compare with; only Storybooks changed since it are deployed' },
+  baseVersion: { type: ['string', 'null'], description: 'Deployed version unchanged Storybooks are aliased to (default: the base branch)' },
+  storycapOptions: {
+    type: 'object',
+    additionalProperties: false,
+    description: 'Options passed to storycap',
+    properties: {
+      chromiumPath: { type: 'string' },
+      outDir: { type: 'string' },
+      parallel: { type: 'integer', minimum: 1 },
+      delay: { type: 'number', minimum: 0 },
+      include: { type: 'string' },
+      exclude: { type: 'string' },
+      omitBackground: { type: 'boolean' },
+    },
+  },
+};
+
+// Options that apply to the whole run and cannot be set per project
+const RUN_OPTIONS = ['json', 'verbose', 'versionTemplate', 'versionMaxLength', 'discoverProjects', 'concurrency', 'affected', 'since', 'baseVersion'];
+
+// A Storybook deployed in monorepo mode: its own options on top of the shared configuration
+const PROJECT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', description: 'Name of the project in logs and the summary' },
+    root: { type: 'string', description: 'Directory whose changes affect the project (default: the parent of dir)' },
+    ...Object.fromEntries(Object.entries(OPTION_PROPERTIES).filter(([key]) => !RUN_OPTIONS.includes(key))),
+  },
+};
+
+/**
+ * JSON Schema (draft-07) of the storybook-deployer configuration.
+ * Every source (config file, environment, CI context, CLI flags) is validated against it after merging.
+ */
+const CONFIG_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'storybook-deployer configuration',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    // Lets editors pick up the schema from the config file itself
+    $schema: { type: 'string' },
+    profile: { type: ['string', 'null'], description: 'Name of the profile to apply on top of the base config' },
+    ...OPTION_PROPERTIES,
+    profiles: {
+      type: 'object',
+      description: 'Named sets of options that extend the base config (e.g., staging, production)',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        properties: OPTION_PROPERTIES,
+      },
+    },
+    projects: {
+      type: ['array', 'null'],
+      description: 'Storybooks deployed in one run (monorepo mode); each entry needs at least a dir',
+      items: PROJECT_SCHEMA,
+    },
+  },
+};
+
+/**
+ * Returns the JSON Schema type name of a value.
+ * @param {*} value The value.
+ * @returns {string} The type name (e.g., 'string', 'array', 'null').
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * Checks whether a value matches a single JSON Schema type.
+ * @param {*} value The value.
+ * @param {string} type The schema type.
+ * @returns {boolean} Whether the value matches.
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {number} The number of single-character edits.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the known key closest to a misspelled one.
+ * @param {string} key The unknown key.
+ * @param {string[]} candidates The known keys.
+ * @returns {string|null} The suggestion, or null if nothing is close enough.
+ */
+function suggestKey(key, candidates) {
+  const maxDistance = Math.max(2, Math.floor(key.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= maxDistance ? best : null;
+}
+
+/**
+ * Describes a value for an error message, including its type.
+ * @param {*} value The value.
+ * @returns {string} The description (e.g., '"true" (a string)').
+ */
+function describeValue(value) {
+  const type = typeOf(value);
+  if (type === 'object' || type === 'array') {
+    return `an ${type}`;
+  }
+  if (type === 'number' && !Number.isFinite(value)) {
+    return `${value} (not a valid number)`;
+  }
+  return `${JSON.stringify(value)} (a ${type})`;
+}
+
+/**
+ * Validates a value against a schema.
+ * Supports the subset of JSON Schema used by CONFIG_SCHEMA: type, enum, minimum, items, properties and
+ * additionalProperties (false or a schema for the remaining keys).
+ * @param {object} schema The schema.
+ * @param {*} value The value to validate.
+ * @param {string} [path] Dotted path of the value, used in messages.
+ * @returns {Array<{path: string, kind: string, message: string, suggestion?: string}>} The problems found.
+ */
+function validateValue(schema, value, path = '') {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    const expected = types.map(type => (type === 'null' ? 'null' : `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`)).join(' or ');
+    return [{ path, kind: 'type', message: `must be ${expected}, got ${describeValue(value)}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, kind: 'enum', message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${describeValue(value)}` }];
+  }
+
+  const issues = [];
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    issues.push({ path, kind: 'minimum', message: `must be at least ${schema.minimum}, got ${value}` });
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => issues.push(...validateValue(schema.items, item, `${path}[${index}]`)));
+  }
+
+  if ((schema.properties || schema.additionalProperties) && typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const known = Object.keys(properties);
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        // Unset values fall back to the defaults
+        if (child !== undefined) {
+          issues.push(...validateValue(properties[key], child, childPath));
+        }
+      } else if (typeOf(schema.additionalProperties) === 'object') {
+        issues.push(...validateValue(schema.additionalProperties, child, childPath));
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggestKey(key, known);
+        issues.push({
+          path: childPath,
+          kind: 'unknown',
+          message: 'is not a known option',
+          ...(suggestion && { suggestion: path ? `${path}.${suggestion}` : suggestion }),
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  PROJECT_SCHEMA,
+  validateValue,
+  suggestKey
+};
@@ -0,0 +1,604 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { zipDirectory, streamDirectory } = require('./archive.js');
+const { createMasterZip, streamMasterZip } = require('./archiveUtils.js');
+const { getApiClient, uploadFileDirectly, uploadStreamDirectly } = require('./apiClient.js');
+const { uploadFileMultipart } = require('./multipartUpload.js');
+const { deployIncremental, buildIntegrity, collectEntries } = require('./incremental.js');
+const { getRetryPolicy } = require('./retry.js');
+const { createProgressReporter, formatMegabytes } = require('./progress.js');
+const { formatTable } = require('./table.js');
+const { createLogger } = require('./logger.js');
+const { UsageError, FileSystemError, StreamingNotSupportedError, IncrementalNotSupportedError } = require('./errors.js');
+const { captureScreenshots } = require('./screencap.js');
+const { analyzeStorybook } = require('./analysis.js');
+const { getCiMetadata } = require('./ci.js');
+const { promoteVersion, removeAlias } = require('./aliases.js');
+const { isAffectedMode, getChangeSet, withSharedChanges, isAffected } = require('./affected.js');
+
+/**
+ * Creates the context shared by the steps of a deploy or analyze run.
+ * @param {object} config The resolved configuration.
+ * @param {object} [options] Run options.
+ * @param {object} [options.logger] Logger instance (default: one created from the configuration).
+ * @param {function(object): void} [options.onProgress] Called with step and upload progress events.
+ * @param {boolean} [options.quiet] Keep screenshot tool output off stdout (default: in JSON mode).
+ * @returns {{logger: object, quiet: boolean, emit: function(object): void}} The run context.
+ */
+function createRunContext(config, options = {}) {
+  return {
+    logger: options.logger || createLogger(config),
+    quiet: options.quiet !== undefined ? options.quiet : Boolean(config.json),
+    emit: (event) => {
+      if (options.onProgress) {
+        options.onProgress(event);
+      }
+    },
+  };
+}
+
+/**
+ * Logs the start of a step and reports it as a progress event.
+ * @param {object} run The run context.
+ * @param {string} step The step name: screenshots, analysis, archive or upload.
+ * @param {string} message The log message.
+ */
+function startStep(run, step, message) {
+  run.logger.info(message);
+  run.emit({ type: 'step', step, message });
+}
+
+/**
+ * Runs an upload while reporting its progress.
+ * @param {object} run The run context.
+ * @param {number} [total] Total bytes, if known in advance.
+ * @param {function(function(number, number=): void): Promise<object>} upload Performs the upload, given a progress callback.
+ * @returns {Promise<object>} The upload result.
+ */
+async function withProgress(run, total, upload) {
+  const progress = createProgressReporter({ logger: run.logger, total });
+  let totalBytes = total;
+  try {
+    const result = await upload((loaded, newTotal) => {
+      totalBytes = newTotal || totalBytes;
+      progress.update(loaded, newTotal);
+      run.emit({ type: 'upload', loaded, total: totalBytes });
+    });
+    progress.done();
+    return result;
+  } catch (error) {
+    progress.stop();
+    throw error;
+  }
+}
+
+/**
+ * Uploads an archive, using a resumable multipart upload when enabled.
+ * @param {object} config The resolved configuration.
+ * @param {object} run The run context.
+ * @param {string} filePath Path to the archive to upload.
+ * @param {{sha256: string, md5: string}} [checksums] Checksums computed while the archive was written.
+ * @returns {Promise<object>} The upload result.
+ */
+async function uploadArchive(config, run, filePath, checksums) {
+  const apiClient = getApiClient(config.apiUrl, config.apiKey);
+  const payload = {
+    project: config.project,
+    version: config.version,
+  };
+  const options = { logger: run.logger, retry: getRetryPolicy(config), checksums };
+
+  return withProgress(run, fs.statSync(filePath).size, (onProgress) => {
+    if (config.multipart) {
+      return uploadFileMultipart(apiClient, payload, filePath, {
+        ...options,
+        onProgress,
+        partSize: config.partSize * 1024 * 1024,
+      });
+    }
+    return uploadFileDirectly(apiClient, payload, filePath, { ...options, onProgress });
+  });
+}
+
+/**
+ * Builds an archive and prints what would be uploaded, without contacting the deployment service.
+ * @param {object} config The resolved configuration.
+ * @param {object} run The run context.
+ * @param {object} archive How to produce the archive (see buildAndUploadArchive).
+ * @param {string} outPath Path the archive is written to.
+ * @param {{archive: string, upload: string}} steps Step labels for the log output.
+ * @returns {Promise<object>} What would have been uploaded.
+ */
+async function dryRunArchive(config, run, archive, outPath, steps) {
+  const { logger } = run;
+  startStep(run, 'archive', `${steps.archive}: ${archive.description}...`);
+  const checksums = await archive.writeTo(outPath);
+  logger.success(`✅ Archive created: ${outPath}`);
+
+  const entries = await collectEntries(archive.sources);
+  const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  logger.info(`${steps.upload}: Dry run, skipping upload. Would send:`);
+  logger.info(`   Service:  ${config.apiUrl}`);
+  logger.info(`   Project:  ${config.project || '(not set)'}`);
+  logger.info(`   Version:  ${config.version || '(not set)'}`);
+  logger.info(`   Archive:  ${formatMegabytes(checksums.size)} (SHA-256 ${checksums.sha256})`);
+  logger.info(`   Files:    ${entries.length} (${formatMegabytes(totalBytes)} uncompressed)\n`);
+  logger.info(formatTable(['BYTES', 'PATH'], entries.map(entry => [entry.size, entry.path])));
+
+  if (archive.metadata) {
+    const { summary, integrity } = archive.metadata;
+    logger.info('\n   Metadata:');
+    logger.info(`     Stories:           ${summary.totalStories}`);
+    logger.info(`     With screenshots:  ${summary.withScreenshots}`);
+    if (integrity) {
+      logger.info(`     Integrity entries: ${Object.keys(integrity.files).length}`);
+    }
+  }
+
+  return {
+    mode: 'dry-run',
+    archive: { path: outPath, ...checksums },
+    files: entries.map(entry => ({ path: entry.path, size: entry.size })),
+  };
+}
+
+/**
+ * Returns a path for a temporary archive that does not clash with other runs in the same process.
+ * @param {string} prefix The file name prefix.
+ * @returns {string} The archive path.
+ */
+function tempArchivePath(prefix) {
+  return path.join(os.tmpdir(), `${prefix}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.zip`);
+}
+
+/**
+ * Removes the local archive, unless it should be kept for inspection.
+ * @param {object} config The resolved configuration.
+ * @param {object} logger The logger instance.
+ * @param {string} outPath Path of the archive.
+ */
+function cleanUpArchive(config, logger, outPath) {
+  if (!fs.existsSync(outPath)) {
+    return;
+  }
+  if (config.keepArchive) {
+    logger.info(`📦 Archive kept for inspection: ${outPath}`);
+  } else {
+    fs.unlinkSync(outPath);
+    logger.info(`🧹 Cleaned up temporary file: ${outPath}`);
+  }
+}
+
+/**
+ * Builds an archive and uploads it.
+ * With `incremental` only the files the service does not have yet are uploaded,
+ * falling back to the full archive if the service has no blob store.
+ * With `stream` the archive is piped straight into the upload request; if the
+ * server needs a known Content-Length, it falls back to a temporary file.
+ * With `dryRun` the archive is only built and described.
+ * @param {object} config The resolved configuration.
+ * @param {object} run The run context.
+ * @param {object} archive How to produce the archive.
+ * @param {string} archive.description What is being archived, for log messages.
+ * @param {function(string): Promise<void>} archive.writeTo Writes the archive to a file.
+ * @param {function(): import('stream').Readable} archive.stream Produces the archive as a stream.
+ * @param {object} archive.sources The archive contents, for incremental deploys (see collectEntries).
+ * @param {object} [archive.metadata] The metadata included in the archive, if any.
+ * @param {string} outPath Temporary file path used when not streaming.
+ * @param {{archive: string, upload: string}} steps Step labels for the log output.
+ * @returns {Promise<object>} The upload result.
+ */
+async function buildAndUploadArchive(config, run, archive, outPath, steps) {
+  const { logger } = run;
+  if (config.dryRun) {
+    return dryRunArchive(config, run, archive, outPath, steps);
+  }
+
+  if (config.incremental) {
+    startStep(run, 'upload', `${steps.archive}: Hashing files and uploading changed content...`);
+    try {
+      const apiClient = getApiClient(config.apiUrl, config.apiKey);
+      const uploadResult = await withProgress(run, undefined, (onProgress) => deployIncremental(apiClient, {
+        project: config.project,
+        version: config.version,
+      }, archive.sources, { logger, retry: getRetryPolicy(config), onProgress }));
+      logger.success(`✅ Uploaded ${uploadResult.uploadedBlobs} changed file(s), reused ${uploadResult.reusedBlobs} (${uploadResult.totalFiles} files in manifest).`);
+      logger.debug(`Upload result: ${JSON.stringify(uploadResult)}`);
+      return { ...uploadResult, mode: 'incremental' };
+    } catch (error) {
+      if (!(error instanceof IncrementalNotSupportedError)) {
+        throw error;
+      }
+      logger.info(`⚠️  ${error.message}. Falling back to a full archive upload.`);
+    }
+  }
+
+  if (config.stream && !config.multipart) {
+    startStep(run, 'upload', `${steps.archive}: ${archive.description} and streaming it to the deployment service...`);
+    try {
+      const apiClient = getApiClient(config.apiUrl, config.apiKey);
+      const uploadResult = await withProgress(run, undefined, (onProgress) => uploadStreamDirectly(apiClient, {
+        project: config.project,
+        version: config.version,
+      }, archive.stream, { logger, retry: getRetryPolicy(config), onProgress }));
+      logger.success('✅ Archive streamed and uploaded.');
+      logger.debug(`Archive SHA-256: ${uploadResult.checksums.sha256}`);
+      logger.debug(`Upload result: ${JSON.stringify(uploadResult)}`);
+      return { ...uploadResult, mode: 'stream' };
+    } catch (error) {
+      if (!(error instanceof StreamingNotSupportedError)) {
+        throw error;
+      }
+      logger.info(`⚠️  ${error.message}. Falling back to a temporary archive file.`);
+    }
+  }
+
+  startStep(run, 'archive', `${steps.archive}: ${archive.description}...`);
+  const checksums = await archive.writeTo(outPath);
+  logger.success(`✅ Archive created: ${outPath}`);
+  logger.debug(`Archive size: ${checksums.size} bytes`);
+  logger.debug(`Archive SHA-256: ${checksums.sha256}`);
+
+  startStep(run, 'upload', `${steps.upload}: Uploading to deployment service...`);
+  const uploadResult = await uploadArchive(config, run, outPath, checksums);
+  logger.success('✅ Archive uploaded.');
+  logger.debug(`Upload result: ${JSON.stringify(uploadResult)}`);
+  return { ...uploadResult, mode: config.multipart ? 'multipart' : 'file', archive: { path: outPath, ...checksums } };
+}
+
+/**
+ * Describes the master archive (static site, screenshots and metadata).
+ * @param {object} options Options passed to createMasterZip/streamMasterZip, without outPath.
+ * @param {string} description What is being archived, for log messages.
+ * @returns {object} An archive source for buildAndUploadArchive.
+ */
+function masterArchive(options, description) {
+  return {
+    description,
+    metadata: options.metadata,
+    writeTo: (outPath) => createMasterZip({ ...options, outPath }),
+    stream: () => streamMasterZip(options),
+    sources: {
+      directories: [
+        { dir: options.staticsiteDir, prefix: '' },
+        { dir: options.screenshotsDir, prefix: 'images' },
+      ],
+      files: options.metadata ? [{ name: 'metadata.json', data: JSON.stringify(options.metadata, null, 2) }] : [],
+    },
+  };
+}
+
+/**
+ * Runs a step and records how long it took.
+ * @param {object} timings Step durations in milliseconds, keyed by step name.
+ * @param {string} name The step name.
+ * @param {function(): Promise<*>} step The step to run.
+ * @returns {Promise<*>} The result of the step.
+ */
+async function timed(timings, name, step) {
+  const start = Date.now();
+  try {
+    return await step();
+  } finally {
+    timings[name] = Date.now() - start;
+  }
+}
+
+/**
+ * Returns the public URL a version is served from.
+ * @param {object} config The resolved configuration.
+ * @returns {string} The deployment URL.
+ */
+function getDeploymentUrl(config) {
+  return `${config.apiUrl.replace(/\/+$/, '')}/${config.project}/${config.version}`;
+}
+
+/**
+ * Builds the machine-readable result of a deploy or analyze run.
+ * @param {object} config The resolved configuration.
+ * @param {object} upload The result of buildAndUploadArchive.
+ * @param {object|null} analysisResults The analysis results, if analysis ran.
+ * @param {object} timings Step durations in milliseconds.
+ * @returns {object} The result.
+ */
+function buildRunResult(config, upload, analysisResults, timings) {
+  const archive = upload.archive || (upload.checksums ? { sha256: upload.checksums.sha256 } : null);
+
+  return {
+    project: config.project,
+    version: config.version,
+    dryRun: Boolean(config.dryRun),
+    urls: {
+      deployment: config.dryRun ? null : getDeploymentUrl(config),
+      // Drop the signature so short-lived credentials do not end up in CI logs
+      upload: upload.url ? upload.url.split('?')[0] : null,
+    },
+    upload: {
+      mode: upload.mode,
+      totalFiles: upload.totalFiles,
+      uploadedBlobs: upload.uploadedBlobs,
+      reusedBlobs: upload.reusedBlobs,
+      files: upload.files,
+    },
+    archive: archive && {
+      path: config.keepArchive ? archive.path : undefined,
+      size: archive.size,
+      sha256: archive.sha256,
+    },
+    analysis: analysisResults ? analysisResults.summary : null,
+    ci: getCiMetadata(),
+    timings,
+  };
+}
+
+/**
+ * Captures screenshots (if a Storybook URL is configured) and analyzes the stories.
+ * @param {object} config The resolved configuration.
+ * @param {object} run The run context.
+ * @param {object} timings Step durations in milliseconds.
+ * @param {number} total Number of steps in the run, for the log output.
+ * @returns {Promise<object>} The analysis results.
+ */
+async function captureAndAnalyze(config, run, timings, total) {
+  const { logger } = run;
+
+  // 1. Capture screenshots if storybook URL provided
+  if (config.storybookUrl) {
+    startStep(run, 'screenshots', `1/${total}: Capturing screenshots from '${config.storybookUrl}'...`);
+    await timed(timings, 'screenshotsMs', () => captureScreenshots(config.storybookUrl, config.storycapOptions || {}, run.quiet));
+    logger.success('✅ Screenshots captured');
+  } else {
+    logger.info(`1/${total}: Skipping screenshot capture (no Storybook URL provided)`);
+  }
+
+  // 2. Analyze stories and map screenshots
+  startStep(run, 'analysis', `2/${total}: Analyzing stories and mapping screenshots...`);
+  const analysisResults = await timed(timings, 'analysisMs', async () => analyzeStorybook({
+    storiesDir: config.storiesDir,
+    storybookDir: config.dir,
+    storySource: config.storySource,
+    componentDocs: config.componentDocs,
+    screenshotsDir: config.screenshotsDir,
+    project: config.project,
+    version: config.version,
+    logger
+  }));
+  // Flag the stories whose file is part of the change set
+  if (run.changes) {
+    analysisResults.stories.forEach(story => {
+      // Indexed stories whose file was not found cannot be matched
+      story.changed = Boolean(story.filepath) && isAffected(run.changes, story.filepath);
+    });
+    analysisResults.summary.changedStories = analysisResults.stories.filter(story => story.changed).length;
+  }
+  // Record the CI build that produced the deployment
+  const ci = getCiMetadata();
+  if (ci) {
+    analysisResults.ci = ci;
+  }
+  const { totalStories, docsPages, withScreenshots } = analysisResults.summary;
+  logger.success(`✅ Found ${totalStories} stories (${withScreenshots} with screenshots)${docsPages > 0 ? ` and ${docsPages} docs page${docsPages === 1 ? '' : 's'}` : ''}`);
+  logger.debug(`Analysis complete: ${JSON.stringify(analysisResults.summary)}`);
+  return analysisResults;
+}
+
+/**
+ * Analyzes the stories, captures screenshots and uploads the master archive without the static site.
+ * @param {object} config The resolved configuration (see loadConfig).
+ * @param {object} [options] Run options (see createRunContext).
+ * @returns {Promise<object>} The run result: project, version, URLs, archive, analysis summary and timings.
+ */
+async function runAnalysis(config, options = {}) {
+  const run = createRunContext(config, options);
+  const { logger } = run;
+  logger.info('📊 Starting Storybook analysis...');
+  logger.debug(`Received arguments: ${JSON.stringify(config)}`);
+
+  const outPath = tempArchivePath('storybook-analysis');
+  const timings = {};
+
+  try {
+    // 1. Capture screenshots and 2. analyze stories
+    const analysisResults = await captureAndAnalyze(config, run, timings, 4);
+
+    // Record the checksum of every archived file in metadata.json
+    analysisResults.integrity = await buildIntegrity({
+      directories: [{ dir: config.screenshotsDir, prefix: 'images' }],
+    });
+
+    // 3. Create master ZIP and 4. upload it
+    const upload = await timed(timings, 'uploadMs', () => buildAndUploadArchive(config, run, masterArchive({
+      staticsiteDir: null, // No static site for analyze-only
+      screenshotsDir: config.screenshotsDir,
+      metadata: analysisResults
+    }, 'Creating master archive'), outPath, { archive: '3/4', upload: '4/4' }));
+
+    logger.success(config.dryRun ? '\n🎉 Dry run complete, nothing was uploaded.' : '\n🎉 Analysis complete! 🎉');
+    return buildRunResult(config, upload, analysisResults, timings);
+
+  } finally {
+    // Clean up the local archive
+    cleanUpArchive(config, logger, outPath);
+  }
+}
+
+/**
+ * Skips a Storybook the change set does not touch. Its version is pointed at the deployed base version
+ * instead, so the preview URL still works.
+ * @param {object} config The resolved configuration.
+ * @param {object} run The run context, with the change set in `changes`.
+ * @returns {Promise<object>} The run result, with `skipped: true` and the version it is an alias of, if any.
+ */
+async function skipUnaffected(config, run) {
+  const { logger, changes } = run;
+  const { baseVersion } = changes;
+  logger.info(`⏭️  No changes since ${changes.since} (${changes.baseSha.substring(0, 7)}), skipping the deployment.`);
+
+  let aliasOf = null;
+  if (!baseVersion) {
+    logger.info(`⚠️  No base version to alias '${config.version}' to. Set --base-version to alias unchanged Storybooks.`);
+  } else if (!config.version) {
+    logger.info(`⚠️  No version to alias to '${baseVersion}'. Set --version to alias unchanged Storybooks.`);
+  } else if (baseVersion === config.version) {
+    logger.debug(`'${config.version}' is the base version, nothing to alias`);
+  } else if (config.dryRun) {
+    logger.info(`Dry run: would alias '${config.version}' to '${baseVersion}'.`);
+    aliasOf = baseVersion;
+  } else {
+    try {
+      const apiClient = getApiClient(config.apiUrl, config.apiKey);
+      await promoteVersion(apiClient, config.project, baseVersion, config.version, { logger, retry: getRetryPolicy(config) });
+      logger.success(`🔀 Aliased '${config.version}' to the unchanged version '${baseVersion}'.`);
+      aliasOf = baseVersion;
+    } catch (error) {
+      // The deploy itself was not needed, so a missing base version is not a failure
+      logger.info(`⚠️  Could not alias '${config.version}' to '${baseVersion}': ${error.message}`);
+    }
+  }
+
+  return {
+    project: config.project,
+    version: config.version,
+    dryRun: Boolean(config.dryRun),
+    skipped: true,
+    aliasOf,
+    urls: {
+      deployment: aliasOf && !config.dryRun ? getDeploymentUrl(config) : null,
+      upload: null,
+    },
+    upload: { mode: 'skipped' },
+    archive: null,
+    analysis: null,
+    ci: getCiMetadata(),
+    timings: {},
+  };
+}
+
+/**
+ * Removes an alias named after the version that was just deployed.
+ * Aliases and versions share the `/{project}/{name}` URLs, so an alias left by an earlier run that found the
+ * Storybook unchanged (see skipUnaffected) would keep serving the base version instead of this deployment.
+ * @param {object} config The resolved configuration.
+ * @param {object} run The run context, with the change set in `changes`.
+ * @returns {Promise<void>}
+ */
+async function releaseVersionAlias(config, run) {
+  const { logger } = run;
+  if (!run.changes || config.dryRun || !config.version) {
+    return;
+  }
+  try {
+    const apiClient = getApiClient(config.apiUrl, config.apiKey);
+    if (await removeAlias(apiClient, config.project, config.version, { logger, retry: getRetryPolicy(config) })) {
+      logger.info(`🔀 Removed the alias '${config.version}' left by an earlier unchanged run, so this deployment is served.`);
+    }
+  } catch (error) {
+    // The upload succeeded, so only warn
+    logger.info(`⚠️  Could not remove the alias '${config.version}', which may still point at an older version: ${error.message}`);
+  }
+}
+
+/**
+ * Checks that the static Storybook build to deploy exists.
+ * @param {object} config The resolved configuration.
+ * @throws {UsageError} If no directory is configured.
+ * @throws {FileSystemError} If the directory does not exist.
+ */
+function validateDeployConfig(config) {
+  if (!config.dir) {
+    throw new UsageError('--dir is required. You can provide it via CLI arguments, config file, or environment variables.');
+  }
+  if (!fs.existsSync(config.dir)) {
+    throw new FileSystemError(`Directory not found at path: ${config.dir}`);
+  }
+  if (!fs.lstatSync(config.dir).isDirectory()) {
+    throw new FileSystemError(`Path is not a directory: ${config.dir}`);
+  }
+}
+
+/**
+ * Deploys the static Storybook build, optionally with screenshots and story metadata.
+ * With `affected` or `since`, the deployment is skipped if the change set does not touch the Storybook.
+ * @param {object} config The resolved configuration (see loadConfig).
+ * @param {object} [options] Run options (see createRunContext).
+ * @param {object} [options.changes] The change set, if already computed (see withSharedChanges).
+ * @param {string} [options.root] Directory whose changes affect the Storybook (default: the working directory).
+ * @returns {Promise<object>} The run result: project, version, URLs, archive, analysis summary and timings.
+ */
+async function runDeployment(config, options = {}) {
+  validateDeployConfig(config);
+
+  const run = createRunContext(config, options);
+  const { logger } = run;
+
+  if (isAffectedMode(config)) {
+    const root = options.root || process.cwd();
+    run.changes = options.changes || withSharedChanges(getChangeSet(config), [root]);
+    if (run.changes.shared.length > 0) {
+      logger.debug(`Changed outside every Storybook: ${run.changes.shared.join(', ')}`);
+    } else if (!isAffected(run.changes, root)) {
+      return skipUnaffected(config, run);
+    }
+  }
+
+  logger.info('🚀 Starting deployment...');
+  logger.debug(`Received arguments: ${JSON.stringify(config)}`);
+
+  const outPath = tempArchivePath('storybook-deployment');
+  const timings = {};
+
+  try {
+    if (config.withAnalysis) {
+      // Full deployment with analysis
+      logger.info('Running deployment with analysis...');
+
+      // 1. Capture screenshots and 2. analyze stories
+      const analysisResults = await captureAndAnalyze(config, run, timings, 5);
+
+      // Record the checksum of every archived file in metadata.json
+      analysisResults.integrity = await buildIntegrity({
+        directories: [
+          { dir: config.dir, prefix: '' },
+          { dir: config.screenshotsDir, prefix: 'images' },
+        ],
+      });
+
+      // 3. Create master ZIP with staticsite, images, and metadata and 4. upload it
+      const upload = await timed(timings, 'uploadMs', () => buildAndUploadArchive(config, run, masterArchive({
+        staticsiteDir: config.dir,
+        screenshotsDir: config.screenshotsDir,
+        metadata: analysisResults
+      }, 'Creating master archive with static site, images, and metadata'), outPath, { archive: '3/5', upload: '4/5' }));
+      await releaseVersionAlias(config, run);
+
+      logger.success(config.dryRun ? '\n🎉 Dry run complete, nothing was uploaded.' : '\n🎉 Deployment with analysis successful! 🎉');
+      return buildRunResult(config, upload, analysisResults, timings);
+    }
+
+    // Simple deployment without analysis
+    // 1. Archive the directory and 2. upload it
+    const upload = await timed(timings, 'uploadMs', () => buildAndUploadArchive(config, run, {
+      description: `Zipping directory '${config.dir}'`,
+      writeTo: (filePath) => zipDirectory(config.dir, filePath),
+      stream: () => streamDirectory(config.dir),
+      sources: { directories: [{ dir: config.dir, prefix: '' }] },
+    }, outPath, { archive: '1/3', upload: '2/3' }));
+    await releaseVersionAlias(config, run);
+
+    logger.success(config.dryRun ? '\n🎉 Dry run complete, nothing was uploaded.' : '\n🎉 Deployment successful! 🎉');
+    return buildRunResult(config, upload, null, timings);
+
+  } finally {
+    // 4. Clean up the local archive
+    cleanUpArchive(config, logger, outPath);
+  }
+}
+
+module.exports = {
+  runDeployment,
+  runAnalysis,
+  getDeploymentUrl
+};
@@ -0,0 +1,146 @@
+const { ApiError } = require('./errors.js');
+const { toApiError } = require('./apiClient.js');
+const { createLogger } = require('./logger.js');
+const { withRetry } = require('./retry.js');
+const { formatMegabytes } = require('./progress.js');
+const { formatTable } = require('./table.js');
+
+/**
+ * Normalizes a deployment record returned by the service.
+ * @param {object} record The raw record.
+ * @returns {{version: string, size: number|null, createdAt: string|null, commit: string|null, url: string|null}} The deployment.
+ */
+function normalizeDeployment(record) {
+  return {
+    ...record,
+    version: record.version,
+    size: record.size !== undefined ? record.size : null,
+    createdAt: record.createdAt || record.timestamp || null,
+    commit: record.commit || record.commitSha || null,
+    url: record.url || null,
+  };
+}
+
+/**
+ * Orders timestamps newest first; missing or unparseable ones sort last.
+ * @param {string|null} a The first timestamp.
+ * @param {string|null} b The second timestamp.
+ * @returns {number} The sort order.
+ */
+function compareNewestFirst(a, b) {
+  const timeA = a ? Date.parse(a) : NaN;
+  const timeB = b ? Date.parse(b) : NaN;
+  if (Number.isNaN(timeA) || Number.isNaN(timeB)) {
+    return Number.isNaN(timeA) - Number.isNaN(timeB);
+  }
+  return timeB - timeA;
+}
+
+/**
+ * Lists the deployed versions of a project, newest first.
+ * @param {axios.AxiosInstance} apiClient The configured axios instance.
+ * @param {string} project The project name/identifier.
+ * @param {object} [options] Request options.
+ * @param {object} [options.logger] Logger used for debug output and retry attempts.
+ * @param {object} [options.retry] Retry policy (see getRetryPolicy).
+ * @returns {Promise<Array<object>>} The deployments.
+ */
+async function listDeployments(apiClient, project, options = {}) {
+  const logger = options.logger || createLogger({});
+
+  try {
+    logger.debug(`Listing deployments from /deployments/${project}`);
+    const response = await withRetry(() => apiClient.get(`/deployments/${project}`), {
+      policy: options.retry,
+      logger,
+      label: 'Deployment list request',
+    });
+
+    const records = Array.isArray(response.data) ? response.data : response.data.deployments;
+    if (!Array.isArray(records)) {
+      throw new ApiError('Failed to get deployments from server response');
+    }
+    return records
+      .map(normalizeDeployment)
+      .sort((a, b) => compareNewestFirst(a.createdAt, b.createdAt));
+  } catch (error) {
+    throw toApiError(error, `Failed to list deployments of '${project}'`);
+  }
+}
+
+/**
+ * Fetches the details of a single deployed version.
+ * @param {axios.AxiosInstance} apiClient The configured axios instance.
+ * @param {string} project The project name/identifier.
+ * @param {string} version The version identifier.
+ * @param {object} [options] Request options (see listDeployments).
+ * @returns {Promise<object>} The deployment.
+ */
+async function getDeployment(apiClient, project, version, options = {}) {
+  const logger = options.logger || createLogger({});
+
+  try {
+    logger.debug(`Fetching deployment /deployments/${project}/${version}`);
+    const response = await withRetry(() => apiClient.get(`/deployments/${project}/${version}`), {
+      policy: options.retry,
+      logger,
+      label: 'Deployment request',
+    });
+    return normalizeDeployment({ version, ...response.data });
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      throw new ApiError(`Deployment '${version}' of project '${project}' was not found`, 404);
+    }
+    throw toApiError(error, `Failed to get deployment '${version}'`);
+  }
+}
+
+/**
+ * Deletes a deployed version.
+ * @param {axios.AxiosInstance} apiClient The configured axios instance.
+ * @param {string} project The project name/identifier.
+ * @param {string} version The version identifier.
+ * @param {object} [options] Request options (see listDeployments).
+ * @returns {Promise<{project: string, version: string, deleted: boolean}>} The deletion result.
+ */
+async function deleteDeployment(apiClient, project, version, options = {}) {
+  const logger = options.logger || createLogger({});
+
+  try {
+    logger.debug(`Deleting deployment /deployments/${project}/${version}`);
+    await withRetry(() => apiClient.delete(`/deployments/${project}/${version}`), {
+      policy: options.retry,
+      logger,
+      label: 'Deployment deletion',
+    });
+    return { project, version, deleted: true };
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      throw new ApiError(`Deployment '${version}' of project '${project}' was not found`, 404);
+    }
+    throw toApiError(error, `Failed to delete deployment '${version}'`);
+  }
+}
+
+/**
+ * Formats deployments as an aligned text table.
+ * @param {Array<object>} deployments The deployments.
+ * @returns {string} The table.
+ */
+function formatDeploymentsTable(deployments) {
+  const rows = deployments.map(deployment => [
+    deployment.version,
+    deployment.size !== null ? formatMegabytes(deployment.size) : '-',
+    deployment.createdAt || '-',
+    deployment.commit ? deployment.commit.substring(0, 7) : '-',
+  ]);
+  return formatTable(['VERSION', 'SIZE', 'DEPLOYED', 'COMMIT'], rows);
+}
+
+module.exports = {
+  compareNewestFirst,
+  listDeployments,
+  getDeployment,
+  deleteDeployment,
+  formatDeploymentsTable
+};
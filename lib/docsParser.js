@@ -0,0 +1,191 @@
+const { parse, parseExpression } = require('@babel/parser');
+
+// Doc blocks whose `of` prop points at a CSF file or story
+const BLOCK_PATTERN = /<(Meta|Canvas|Story|Stories|Controls|ArgTypes|Source|Description|Primary|Title|Subtitle)\b/g;
+
+/**
+ * Blanks out code blocks and inline code, keeping offsets and line numbers, so examples are not read as blocks.
+ * @param {string} content The MDX content.
+ * @returns {string} The content with code replaced by spaces.
+ */
+function maskCode(content) {
+  const blank = text => text.replace(/[^\n]/g, ' ');
+  return content
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?(^\1[^\n]*$|(?![\s\S]))/gm, blank)
+    .replace(/`[^`\n]+`/g, blank);
+}
+
+/**
+ * Returns the 1-based line of an offset.
+ * @param {string} content The content.
+ * @param {number} offset The offset.
+ * @returns {number} The line.
+ */
+function lineAt(content, offset) {
+  return content.substring(0, offset).split('\n').length;
+}
+
+/**
+ * Finds the end of a JSX opening tag, skipping over `>` inside attribute strings and `{...}` expressions.
+ * @param {string} content The content.
+ * @param {number} start Offset of the `<`.
+ * @returns {number} Offset just past the closing `>`, or -1 if the tag does not end.
+ */
+function findTagEnd(content, start) {
+  let depth = 0;
+  let quote = null;
+  for (let index = start + 1; index < content.length; index++) {
+    const char = content[index];
+    if (quote) {
+      if (char === quote && content[index - 1] !== '\\') {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'" || (char === '`' && depth > 0)) {
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+    } else if (char === '>' && depth === 0) {
+      return index + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Collects the imports of the MDX file's ESM blocks: paragraphs that start with `import` or `export`.
+ * @param {string} masked The content with code masked (see maskCode).
+ * @returns {Map<string, {source: string, importedName: string}>} The imports, keyed by local name;
+ *   importedName is '*' for namespace imports and 'default' for default imports.
+ */
+function collectImports(masked) {
+  const imports = new Map();
+
+  masked.split(/\n\s*\n/)
+    .filter(block => /^\s*(import|export)\s/.test(block))
+    .forEach(block => {
+      let program;
+      try {
+        ({ program } = parse(block, { sourceType: 'module', plugins: ['jsx', 'typescript'], errorRecovery: true }));
+      } catch (error) {
+        // Not JavaScript after all, e.g. a paragraph that starts with the word "import"
+        return;
+      }
+      program.body.filter(statement => statement.type === 'ImportDeclaration').forEach(statement => {
+        statement.specifiers.forEach(specifier => {
+          let importedName = 'default';
+          if (specifier.type === 'ImportNamespaceSpecifier') {
+            importedName = '*';
+          } else if (specifier.type === 'ImportSpecifier') {
+            importedName = specifier.imported.name || specifier.imported.value;
+          }
+          imports.set(specifier.local.name, { source: statement.source.value, importedName });
+        });
+      });
+    });
+
+  return imports;
+}
+
+/**
+ * Resolves the `of` prop of a doc block to the CSF file and story it points at.
+ * @param {object} expression The prop expression (e.g., `ButtonStories` or `ButtonStories.Primary`).
+ * @param {Map} imports The file's imports (see collectImports).
+ * @returns {{source: string, exportName: string|null}|null} The imported module and story export (null for the whole
+ *   file), or null if the expression does not refer to an import.
+ */
+function resolveOf(expression, imports) {
+  if (expression.type === 'Identifier') {
+    const imported = imports.get(expression.name);
+    if (!imported) {
+      return null;
+    }
+    // A named import is a story; a namespace or default import is the CSF file (its meta)
+    return { source: imported.source, exportName: ['*', 'default'].includes(imported.importedName) ? null : imported.importedName };
+  }
+  if (expression.type === 'MemberExpression' && !expression.computed && expression.object.type === 'Identifier') {
+    const imported = imports.get(expression.object.name);
+    return imported && imported.importedName === '*' ? { source: imported.source, exportName: expression.property.name } : null;
+  }
+  return null;
+}
+
+/**
+ * Reads the props of a doc block tag.
+ * @param {string} tag The tag source, e.g. `<Canvas of={ButtonStories.Primary}>`.
+ * @returns {Object<string, object>|null} The prop values (StringLiteral or expression nodes), keyed by name,
+ *   or null if the tag cannot be parsed.
+ */
+function readTagProps(tag) {
+  let element;
+  try {
+    element = parseExpression(tag.endsWith('/>') ? tag : `${tag.slice(0, -1)}/>`, { plugins: ['jsx', 'typescript'] });
+  } catch (error) {
+    return null;
+  }
+  const props = {};
+  element.openingElement.attributes
+    .filter(attribute => attribute.type === 'JSXAttribute' && attribute.value)
+    .forEach(attribute => {
+      props[attribute.name.name] = attribute.value.type === 'JSXExpressionContainer' ? attribute.value.expression : attribute.value;
+    });
+  return props;
+}
+
+/**
+ * Parses a Storybook MDX documentation page.
+ * Reads the `<Meta>` block (title, name, and the CSF file it is attached to with `of`), the stories other blocks
+ * reference (`<Canvas of={ButtonStories.Primary} />`, `<Story id="button--primary" />`), and the Markdown headings.
+ * @param {string} content The MDX content.
+ * @returns {{isStorybookDocs: boolean, title: string|null, name: string|null, of: {source: string, exportName: string|null}|null,
+ *   references: Array<{source?: string, exportName?: string|null, id?: string, block: string, line: number}>,
+ *   headings: Array<{depth: number, text: string, line: number}>}} The page. isStorybookDocs is false for MDX files that
+ *   neither use `<Meta>` nor import from a Storybook package, e.g. pages of another documentation site.
+ */
+function parseDocsFile(content) {
+  const masked = maskCode(content);
+  const imports = collectImports(masked);
+  const page = { title: null, name: null, of: null, references: [], headings: [] };
+  let hasMeta = false;
+
+  for (const match of masked.matchAll(BLOCK_PATTERN)) {
+    const end = findTagEnd(masked, match.index);
+    const props = end === -1 ? null : readTagProps(content.slice(match.index, end));
+    if (!props) {
+      continue;
+    }
+    const block = match[1];
+    const line = lineAt(content, match.index);
+
+    if (block === 'Meta') {
+      hasMeta = true;
+      page.title = props.title && props.title.type === 'StringLiteral' ? props.title.value : page.title;
+      page.name = props.name && props.name.type === 'StringLiteral' ? props.name.value : page.name;
+      page.of = props.of ? resolveOf(props.of, imports) || page.of : page.of;
+    } else if (props.of) {
+      const target = resolveOf(props.of, imports);
+      if (target) {
+        page.references.push({ ...target, block, line });
+      }
+    } else if (props.id && props.id.type === 'StringLiteral') {
+      page.references.push({ id: props.id.value, block, line });
+    }
+  }
+
+  // Headings are found in the masked content, so none come from code blocks, but keep their inline code
+  const lines = content.split('\n');
+  masked.split('\n').forEach((text, index) => {
+    const heading = /^#{1,6}\s/.test(text) && lines[index].match(/^(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/);
+    if (heading) {
+      page.headings.push({ depth: heading[1].length, text: heading[2], line: index + 1 });
+    }
+  });
+
+  const importsStorybook = [...imports.values()].some(imported => /^@storybook\//.test(imported.source));
+  return { isStorybookDocs: hasMeta || importsStorybook, ...page };
+}
+
+module.exports = {
+  parseDocsFile
+};
@@ -5,16 +5,44 @@ class AppError extends Error {
   constructor(message) {
     super(message);
     this.name = this.constructor.name;
+    // Stable identifier for machine-readable output; subclasses override it
+    this.code = 'APP_ERROR';
     Error.captureStackTrace(this, this.constructor);
   }
 }
 
+/**
+ * Error for invalid command-line usage (unknown commands, missing arguments).
+ */
+class UsageError extends AppError {
+  constructor(message) {
+    super(message);
+    this.code = 'USAGE_ERROR';
+  }
+}
+
+/**
+ * Error for configuration that cannot be read or does not match the schema.
+ */
+class ConfigError extends AppError {
+  /**
+   * @param {string} message The error message.
+   * @param {Array<{key: string, source: string, message: string}>} [issues] The individual problems found.
+   */
+  constructor(message, issues = []) {
+    super(message);
+    this.code = 'CONFIG_ERROR';
+    this.issues = issues;
+  }
+}
+
 /**
  * Error for issues related to file system operations (e.g., zipping).
  */
 class FileSystemError extends AppError {
   constructor(message) {
     super(message);
+    this.code = 'FILE_SYSTEM_ERROR';
   }
 }
 
@@ -25,10 +53,13 @@ class ApiError extends AppError {
   /**
    * @param {string} message The error message.
    * @param {number} [statusCode] The HTTP status code of the response.
+   * @param {number} [attempts] How many attempts were made before giving up.
    */
-  constructor(message, statusCode) {
+  constructor(message, statusCode, attempts) {
     super(message);
+    this.code = 'API_ERROR';
     this.statusCode = statusCode;
+    this.attempts = attempts;
   }
 }
 
@@ -38,12 +69,56 @@ class ApiError extends AppError {
 class UploadError extends AppError {
   constructor(message) {
     super(message);
+    this.code = 'UPLOAD_ERROR';
+  }
+}
+
+/**
+ * Error raised when the upload target cannot accept a body of unknown length.
+ * Callers fall back to building the archive on disk and uploading the file.
+ */
+class StreamingNotSupportedError extends UploadError {
+  constructor(message) {
+    super(message);
+    this.code = 'STREAMING_NOT_SUPPORTED';
+  }
+}
+
+/**
+ * Error raised when the deployment service has no content-addressed blob store.
+ * Callers fall back to uploading the full archive.
+ */
+class IncrementalNotSupportedError extends ApiError {
+  constructor(message) {
+    super(message);
+    this.code = 'INCREMENTAL_NOT_SUPPORTED';
+  }
+}
+
+/**
+ * Error raised when some projects of a monorepo deployment failed.
+ * The others still ran; `projects` holds the result of every project.
+ */
+class ProjectsFailedError extends AppError {
+  /**
+   * @param {string} message The error message.
+   * @param {Array<object>} projects The result of each project (see runProjectDeployments).
+   */
+  constructor(message, projects) {
+    super(message);
+    this.code = 'PROJECTS_FAILED';
+    this.projects = projects;
   }
 }
 
 module.exports = {
   AppError,
+  UsageError,
+  ConfigError,
   FileSystemError,
   ApiError,
   UploadError,
+  StreamingNotSupportedError,
+  IncrementalNotSupportedError,
+  ProjectsFailedError,
 };
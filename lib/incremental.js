@@ -0,0 +1,296 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { ApiError, UploadError, IncrementalNotSupportedError } = require('./errors.js');
+const { toApiError, getUploadHeaders } = require('./apiClient.js');
+const { computeBufferChecksums, computeFileChecksums, toChecksumMismatchError, verifyUploadResponse } = require('./checksum.js');
+const { createLogger } = require('./logger.js');
+const { withRetry } = require('./retry.js');
+
+const MANIFEST_FORMAT = 1;
+const UPLOAD_CONCURRENCY = 4;
+// Error code a service sends with a 404 to say it has no blob endpoints at all
+const ENDPOINT_NOT_FOUND = 'ENDPOINT_NOT_FOUND';
+
+/**
+ * Computes the SHA-256 digest of a file or in-memory buffer.
+ * @param {{filePath?: string, data?: string|Buffer}} entry The content to hash.
+ * @returns {Promise<string>} Hex encoded digest.
+ */
+async function hashContent(entry) {
+  const checksums = entry.data !== undefined
+    ? computeBufferChecksums(Buffer.from(entry.data))
+    : await computeFileChecksums(entry.filePath);
+  return checksums.sha256;
+}
+
+/**
+ * Recursively lists the files in a directory.
+ * @param {string} dir Directory to walk.
+ * @param {string[]} fileList Accumulator for found files.
+ * @returns {string[]} Absolute or cwd-relative file paths.
+ */
+function listFiles(dir, fileList = []) {
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      listFiles(fullPath, fileList);
+    } else if (entry.isFile()) {
+      fileList.push(fullPath);
+    }
+  });
+  return fileList;
+}
+
+/**
+ * Collects every file of a deployment together with its content hash.
+ * Paths use forward slashes and match the layout of the equivalent zip archive.
+ * @param {object} sources What the deployment consists of.
+ * @param {Array<{dir: string, prefix: string}>} [sources.directories] Directories to include under a path prefix.
+ * @param {Array<{name: string, data: string|Buffer}>} [sources.files] In-memory files to include.
+ * @returns {Promise<Array<{path: string, size: number, hash: string}>>} The collected entries.
+ */
+async function collectEntries({ directories = [], files = [] }) {
+  const entries = [];
+
+  for (const { dir, prefix } of directories) {
+    if (!dir || !fs.existsSync(dir)) {
+      continue;
+    }
+    for (const filePath of listFiles(dir)) {
+      const relative = path.relative(dir, filePath).split(path.sep).join('/');
+      const entry = {
+        path: prefix ? `${prefix}/${relative}` : relative,
+        size: fs.statSync(filePath).size,
+        filePath,
+      };
+      entry.hash = await hashContent(entry);
+      entries.push(entry);
+    }
+  }
+
+  for (const { name, data } of files) {
+    const entry = { path: name, size: Buffer.byteLength(data), data };
+    entry.hash = await hashContent(entry);
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Builds the manifest mapping each deployed path to its content hash.
+ * @param {string} project The project name.
+ * @param {string} version The version name.
+ * @param {Array<{path: string, size: number, hash: string}>} entries The collected entries.
+ * @returns {object} The manifest.
+ */
+function buildManifest(project, version, entries) {
+  const files = {};
+  entries.forEach(entry => {
+    files[entry.path] = { hash: entry.hash, size: entry.size };
+  });
+
+  return {
+    manifestVersion: MANIFEST_FORMAT,
+    algorithm: 'sha256',
+    project,
+    version,
+    createdAt: new Date().toISOString(),
+    files,
+  };
+}
+
+/**
+ * Builds the integrity section of metadata.json: the SHA-256 of every other file in the archive.
+ * The archive's own checksum cannot be embedded in a file inside it, so it is sent with the upload instead.
+ * @param {object} sources The archive contents (see collectEntries).
+ * @returns {Promise<{algorithm: string, files: Object<string, string>}>} The integrity section.
+ */
+async function buildIntegrity(sources) {
+  const entries = await collectEntries(sources);
+  const files = {};
+  entries.forEach(entry => {
+    files[entry.path] = entry.hash;
+  });
+  return { algorithm: 'sha256', files };
+}
+
+/**
+ * Checks whether a failed blob check means the service has no blob store.
+ * Only a 501, or a 404 whose body carries the ENDPOINT_NOT_FOUND code, qualifies;
+ * any other 404 (e.g. an unknown project) is a real error.
+ * @param {object} [response] The axios error response.
+ * @returns {boolean} True if incremental deploys are not supported.
+ */
+function isNotSupportedResponse(response) {
+  if (!response) {
+    return false;
+  }
+  return response.status === 501 ||
+    (response.status === 404 && Boolean(response.data) && response.data.code === ENDPOINT_NOT_FOUND);
+}
+
+/**
+ * Runs an async function over items with a bounded number in flight.
+ * After the first failure no new items are started; calls already in flight are awaited before it is rethrown.
+ * @param {Array} items Items to process.
+ * @param {number} limit Maximum concurrent calls.
+ * @param {function(*): Promise} fn Worker function.
+ * @returns {Promise<void>}
+ * @throws {Error} The first error thrown by fn.
+ */
+async function forEachWithConcurrency(items, limit, fn) {
+  let next = 0;
+  let failure = null;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (!failure && next < items.length) {
+      const item = items[next++];
+      try {
+        await fn(item);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  });
+  await Promise.all(workers);
+  if (failure) {
+    throw failure;
+  }
+}
+
+/**
+ * Deploys a version by uploading only the blobs the service does not already have,
+ * followed by a manifest that maps every path to its blob hash.
+ * Throws IncrementalNotSupportedError if the service has no blob store, so callers
+ * can fall back to a full archive upload.
+ * @param {axios.AxiosInstance} apiClient The configured axios instance.
+ * @param {object} payload The metadata for the deployment.
+ * @param {string} payload.project The project name/identifier.
+ * @param {string} payload.version The version identifier.
+ * @param {object} sources What the deployment consists of (see collectEntries).
+ * @param {object} [options] Upload options.
+ * @param {object} [options.logger] Logger used for debug output and retry attempts.
+ * @param {object} [options.retry] Retry policy for each request (see getRetryPolicy).
+ * @param {function(number, number): void} [options.onProgress] Called with bytes sent across all blobs and their total size.
+ * @returns {Promise<object>} A promise that resolves to the upload result.
+ */
+async function deployIncremental(apiClient, { project, version }, sources, options = {}) {
+  const projectName = project || 'main';
+  const versionName = version || 'latest';
+  const logger = options.logger || createLogger({});
+  const retryOptions = { policy: options.retry, logger };
+
+  const entries = await collectEntries(sources);
+  const hashes = [...new Set(entries.map(entry => entry.hash))];
+
+  // Step 1: Ask the service which blobs it is missing
+  let missing;
+  try {
+    logger.debug(`Checking ${hashes.length} blob(s) against /blobs/${projectName}/missing`);
+    const missingResponse = await withRetry(() => apiClient.post(`/blobs/${projectName}/missing`, { algorithm: 'sha256', hashes }), {
+      ...retryOptions,
+      label: 'Blob check',
+    });
+    missing = missingResponse.data.missing;
+  } catch (error) {
+    if (isNotSupportedResponse(error.response)) {
+      throw new IncrementalNotSupportedError(`The deployment service does not support incremental deploys (HTTP ${error.response.status})`);
+    }
+    throw toApiError(error, 'Failed to check existing blobs');
+  }
+  if (!Array.isArray(missing)) {
+    throw new ApiError('Failed to get missing blobs from server response');
+  }
+
+  // Step 2: Upload each missing blob through its own presigned URL
+  const missingSet = new Set(missing);
+  const toUpload = [];
+  entries.forEach(entry => {
+    if (missingSet.delete(entry.hash)) {
+      toUpload.push(entry);
+    }
+  });
+
+  logger.debug(`Uploading ${toUpload.length} of ${hashes.length} blob(s)`);
+  const totalBytes = toUpload.reduce((sum, entry) => sum + entry.size, 0);
+  const sentBytes = new Map();
+  const reportBlob = (entry, loaded) => {
+    if (options.onProgress) {
+      sentBytes.set(entry.path, loaded);
+      options.onProgress([...sentBytes.values()].reduce((sum, bytes) => sum + bytes, 0), totalBytes);
+    }
+  };
+
+  await forEachWithConcurrency(toUpload, UPLOAD_CONCURRENCY, async (entry) => {
+    try {
+      const presignedResponse = await withRetry(() => apiClient.post(`/blobs/${projectName}/presigned-url`, { hash: entry.hash, size: entry.size }), {
+        ...retryOptions,
+        label: `Presigned URL request for ${entry.path}`,
+      });
+      const presignedUrl = presignedResponse.data.url;
+      if (!presignedUrl) {
+        throw new ApiError(`Failed to get presigned URL for blob ${entry.hash} from server response`);
+      }
+
+      // Blobs are addressed by their hash, so the storage backend can check the body against it
+      const body = entry.data !== undefined ? entry.data : fs.readFileSync(entry.filePath);
+      const uploadResponse = await withRetry(() => axios.put(presignedUrl, body, {
+        headers: {
+          ...getUploadHeaders(presignedResponse.data, 'application/octet-stream'),
+          'x-amz-checksum-sha256': Buffer.from(entry.hash, 'hex').toString('base64'),
+        },
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+        onUploadProgress: event => reportBlob(entry, event.loaded),
+      }), { ...retryOptions, label: `Upload of ${entry.path}` });
+      verifyUploadResponse(uploadResponse, { sha256: entry.hash });
+      reportBlob(entry, entry.size);
+    } catch (error) {
+      if (error instanceof UploadError) {
+        throw error;
+      }
+      throw toChecksumMismatchError(error, { sha256: entry.hash }) || toApiError(error, `Failed to upload ${entry.path}`);
+    }
+  });
+
+  // Step 3: Upload the manifest through the regular presigned URL flow
+  const manifest = buildManifest(projectName, versionName, entries);
+  const fileName = 'manifest.json';
+  try {
+    const presignedResponse = await withRetry(() => apiClient.post(`/presigned-url/${projectName}/${versionName}/${fileName}`, {}), {
+      ...retryOptions,
+      label: 'Presigned URL request',
+    });
+    const presignedUrl = presignedResponse.data.url;
+    if (!presignedUrl) {
+      throw new ApiError('Failed to get presigned URL from server response');
+    }
+
+    const uploadResponse = await withRetry(() => axios.put(presignedUrl, JSON.stringify(manifest), {
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    }), { ...retryOptions, label: 'Manifest upload' });
+
+    logger.debug('Manifest uploaded successfully');
+    return {
+      success: true,
+      url: presignedUrl,
+      status: uploadResponse.status,
+      totalFiles: entries.length,
+      uploadedBlobs: toUpload.length,
+      reusedBlobs: hashes.length - toUpload.length,
+    };
+  } catch (error) {
+    throw toApiError(error, 'Failed to upload manifest');
+  }
+}
+
+module.exports = {
+  collectEntries,
+  buildManifest,
+  buildIntegrity,
+  deployIncremental,
+  forEachWithConcurrency,
+};
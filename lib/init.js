@@ -2,14 +2,22 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const { createLogger } = require('./logger');
+const { AppError } = require('./errors');
 const { getApiClient } = require('./apiClient');
 const { generateMainWorkflow, generatePRWorkflow } = require('./templates');
 
+// Deployment service used by the setup wizard when no --api-url is given
+const DEFAULT_INIT_API_URL = 'https://storybook-deployment-service.epinnock.workers.dev';
+
 /**
  * Run the initialization wizard
+ * @param {Object} argv - Setup options (project, apiKey, apiUrl, skipGhSetup, commitApiKey, verbose, json)
+ * @param {Object} argv.logger - Logger to report progress with (optional)
+ * @returns {Promise<Object>} What was set up
+ * @throws {AppError} If any setup step fails
  */
 async function runInit(argv) {
-    const logger = createLogger({ verbose: true });
+    const logger = argv.logger || createLogger({ verbose: true, json: argv.json });
 
     logger.info('🚀 Scry Storybook Deployer - Setup Wizard\n');
     logger.info('━'.repeat(50) + '\n');
@@ -67,12 +75,12 @@ async function runInit(argv) {
             } catch (error) {
                 logger.error(`⚠️  GitHub setup failed: ${error.message}`);
                 logger.info('You can set these up manually later.\n');
-                showManualSetupInstructions(argv.project, argv.apiKey, argv.apiUrl);
+                showManualSetupInstructions(argv.project, argv.apiKey, argv.apiUrl, logger);
             }
         } else {
             logger.info('6/8: Skipping GitHub CLI setup\n');
             if (!argv.skipGhSetup) {
-                showManualSetupInstructions(argv.project, argv.apiKey, argv.apiUrl);
+                showManualSetupInstructions(argv.project, argv.apiKey, argv.apiUrl, logger);
             }
         }
 
@@ -96,17 +104,20 @@ async function runInit(argv) {
 
         // Show success message
         logger.info('━'.repeat(50) + '\n');
-        showSuccessMessage(argv.project, envInfo, argv.apiUrl, pushResult.success);
-
+        showSuccessMessage(argv.project, envInfo, argv.apiUrl, pushResult.success, logger);
+
+        return {
+            project: argv.project,
+            apiUrl: argv.apiUrl,
+            workflows: workflowFiles,
+            committed: commitResult.success,
+            commitSha: commitResult.sha || null,
+            pushed: pushResult.success,
+            branch: pushResult.branch,
+        };
     } catch (error) {
-        logger.error(`\n❌ Setup failed: ${error.message}`);
-        if (error.response) {
-            logger.error(`API Error: ${error.response.status} - ${error.response.data || error.response.statusText}`);
-        }
-        if (error.stack && argv.verbose) {
-            logger.debug(error.stack);
-        }
-        process.exit(1);
+        const detail = error.response ? ` (API Error: ${error.response.status} - ${error.response.data || error.response.statusText})` : '';
+        throw new AppError(`Setup failed: ${error.message}${detail}`);
     }
 }
 
@@ -317,8 +328,8 @@ async function setupGitHubVariables(projectId, apiKey, apiUrl, logger) {
 /**
  * Show manual setup instructions
  */
-function showManualSetupInstructions(projectId, apiKey, apiUrl) {
-    console.log(`
+function showManualSetupInstructions(projectId, apiKey, apiUrl, logger) {
+    logger.info(`
 📋 Manual GitHub Setup (Optional):
 
 If you haven't already, set up these repository variables:
@@ -418,8 +429,8 @@ function gitPush(logger) {
 /**
  * Show success message
  */
-function showSuccessMessage(projectId, envInfo, apiUrl, pushed) {
-    console.log(`
+function showSuccessMessage(projectId, envInfo, apiUrl, pushed, logger) {
+    logger.info(`
 🎉 ${pushed ? 'Setup Complete and Deployed!' : 'Setup Complete!'}
 
 Your Storybook deployment is configured and ready to go.
@@ -453,4 +464,4 @@ Happy deploying! ✨
 `);
 }
 
-module.exports = { runInit };
+module.exports = { runInit, DEFAULT_INIT_API_URL };
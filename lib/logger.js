@@ -3,18 +3,23 @@ const chalk = require('chalk');
 /**
  * Creates a logger instance.
  * The logger's behavior is controlled by the arguments passed to the CLI.
+ * In JSON mode, stdout is reserved for the command's result object: informational
+ * output is suppressed and debug output goes to stderr.
  * @param {object} argv The arguments object from yargs.
  * @param {boolean} argv.verbose Whether to enable verbose (debug) logging.
- * @returns {{info: Function, error: Function, debug: Function, success: Function}}
+ * @param {boolean} argv.json Whether the command prints a machine-readable result.
+ * @returns {{info: Function, error: Function, debug: Function, success: Function, progress: Function}}
  */
-function createLogger({ verbose = false }) {
+function createLogger({ verbose = false, json = false }) {
   return {
     /**
      * Logs an informational message.
      * @param {string} message The message to log.
      */
     info: (message) => {
-      console.log(message);
+      if (!json) {
+        console.log(message);
+      }
     },
 
     /**
@@ -22,7 +27,9 @@ function createLogger({ verbose = false }) {
      * @param {string} message The message to log.
      */
     success: (message) => {
-      console.log(chalk.green(message));
+      if (!json) {
+        console.log(chalk.green(message));
+      }
     },
 
     /**
@@ -33,13 +40,24 @@ function createLogger({ verbose = false }) {
       console.error(chalk.red(message));
     },
 
+    /**
+     * Redraws a single status line in place, e.g. a progress bar in a terminal.
+     * @param {string} message The status line.
+     * @param {boolean} [final] End the line so subsequent output starts below it.
+     */
+    progress: (message, final = false) => {
+      if (!json) {
+        process.stdout.write(`\r${message}\x1b[K${final ? '\n' : ''}`);
+      }
+    },
+
     /**
      * Logs a debug message. Only logs if verbose mode is enabled.
      * @param {string} message The message to log.
      */
     debug: (message) => {
       if (verbose) {
-        console.log(chalk.dim(`[debug] ${message}`));
+        (json ? console.error : console.log)(chalk.dim(`[debug] ${message}`));
       }
     },
   };
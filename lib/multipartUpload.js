@@ -0,0 +1,264 @@
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApiError, UploadError } = require('./errors.js');
+const { toApiError, getUploadHeaders } = require('./apiClient.js');
+const { computeBufferChecksums, computeFileChecksums, toChecksumMismatchError, verifyUploadResponse } = require('./checksum.js');
+const { createLogger } = require('./logger.js');
+const { withRetry } = require('./retry.js');
+
+// Storage backends (S3/R2) reject parts smaller than 5 MiB, except for the last one.
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const DEFAULT_PART_SIZE = 16 * 1024 * 1024;
+const DEFAULT_STATE_DIR = path.join(os.tmpdir(), 'storybook-deployer-uploads');
+
+/**
+ * Builds the path of the local state file for a project/version upload.
+ * @param {string} stateDir Directory holding upload state files.
+ * @param {string} project The project name.
+ * @param {string} version The version name.
+ * @returns {string} Path to the state file.
+ */
+function getStatePath(stateDir, project, version) {
+  const safeName = `${project}-${version}`.replace(/[^a-zA-Z0-9-_.]/g, '-');
+  return path.join(stateDir, `${safeName}.json`);
+}
+
+/**
+ * Reads a saved upload state, returning null if it is missing or unreadable.
+ * @param {string} statePath Path to the state file.
+ * @returns {object|null} The saved state.
+ */
+function readState(statePath) {
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Persists the upload state so an interrupted run can resume.
+ * @param {string} statePath Path to the state file.
+ * @param {object} state The state to save.
+ */
+function writeState(statePath, state) {
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Deletes a saved upload state, if any.
+ * @param {string} statePath Path to the state file.
+ */
+function removeState(statePath) {
+  fs.rmSync(statePath, { force: true });
+}
+
+/**
+ * Checks whether a resumed upload failed because the service no longer knows its upload ID.
+ * @param {Error} error The error thrown while uploading parts or completing the upload.
+ * @returns {boolean} True for a 400 or 404 from the deployment service.
+ */
+function isStaleUploadError(error) {
+  return error instanceof ApiError && (error.statusCode === 400 || error.statusCode === 404);
+}
+
+/**
+ * Reads a single part of a file into memory.
+ * @param {number} fd An open file descriptor.
+ * @param {number} partNumber 1-based part number.
+ * @param {number} partSize The size of each part in bytes.
+ * @param {number} fileSize The total size of the file in bytes.
+ * @returns {Buffer} The part contents.
+ */
+function readPart(fd, partNumber, partSize, fileSize) {
+  const start = (partNumber - 1) * partSize;
+  const length = Math.min(partSize, fileSize - start);
+  const buffer = Buffer.alloc(length);
+  fs.readSync(fd, buffer, 0, length, start);
+  return buffer;
+}
+
+/**
+ * Uploads a single part, retrying transient failures.
+ * @param {axios.AxiosInstance} apiClient The configured axios instance.
+ * @param {string} basePath The multipart endpoint for this upload.
+ * @param {string} uploadId The multipart upload identifier.
+ * @param {number} partNumber 1-based part number.
+ * @param {Buffer} body The part contents.
+ * @param {object} retryOptions Options passed to withRetry.
+ * @param {function(number): void} [onProgress] Called with the bytes of this part sent so far.
+ * @returns {Promise<string>} The ETag reported by the storage backend.
+ */
+async function uploadPart(apiClient, basePath, uploadId, partNumber, body, retryOptions, onProgress) {
+  const checksums = computeBufferChecksums(body);
+  let partResponse;
+  try {
+    partResponse = await withRetry(async () => {
+      // Presigned URLs may expire while backing off, so request a fresh one per attempt
+      const urlResponse = await apiClient.post(`${basePath}/part-url`, { uploadId, partNumber, checksums });
+      const partUrl = urlResponse.data.url;
+      if (!partUrl) {
+        throw new ApiError(`Failed to get presigned URL for part ${partNumber} from server response`);
+      }
+
+      return axios.put(partUrl, body, {
+        headers: getUploadHeaders(urlResponse.data, 'application/octet-stream', checksums),
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+        onUploadProgress: onProgress && (event => onProgress(event.loaded)),
+      });
+    }, { ...retryOptions, label: `Part ${partNumber} upload` });
+  } catch (error) {
+    throw toChecksumMismatchError(error, checksums) || toApiError(error, `Failed to upload part ${partNumber}`);
+  }
+  verifyUploadResponse(partResponse, checksums);
+
+  const etag = partResponse.headers.etag;
+  if (!etag) {
+    throw new UploadError(`Storage backend did not return an ETag for part ${partNumber}`);
+  }
+  return etag;
+}
+
+/**
+ * Uploads a file in parts, each through its own presigned URL.
+ * Progress is recorded in a local state file after every part, so re-running
+ * the upload for the same project/version and an identical archive only sends
+ * the parts that are still missing. If the service rejects the saved upload ID
+ * (it expired or was aborted), the state is discarded and a new upload is started.
+ * @param {axios.AxiosInstance} apiClient The configured axios instance.
+ * @param {object} payload The metadata for the deployment.
+ * @param {string} payload.project The project name/identifier.
+ * @param {string} payload.version The version identifier.
+ * @param {string} filePath The local path to the file to upload.
+ * @param {object} [options] Multipart options.
+ * @param {number} [options.partSize] Size of each part in bytes (minimum 5 MiB).
+ * @param {object} [options.logger] Logger used for debug output and retry attempts.
+ * @param {object} [options.retry] Retry policy for each request (see getRetryPolicy).
+ * @param {string} [options.stateDir] Directory for resumable upload state files.
+ * @param {{sha256: string, md5: string}} [options.checksums] Precomputed checksums of the file.
+ * @returns {Promise<object>} A promise that resolves to the upload result.
+ */
+async function uploadFileMultipart(apiClient, { project, version }, filePath, options = {}) {
+  const projectName = project || 'main';
+  const versionName = version || 'latest';
+  const fileName = 'storybook.zip';
+  const basePath = `/multipart/${projectName}/${versionName}/${fileName}`;
+
+  const partSize = Math.max(options.partSize || DEFAULT_PART_SIZE, MIN_PART_SIZE);
+  const logger = options.logger || createLogger({});
+  const retryOptions = { policy: options.retry, logger };
+  const statePath = getStatePath(options.stateDir || DEFAULT_STATE_DIR, projectName, versionName);
+
+  const fileSize = fs.statSync(filePath).size;
+  const checksums = options.checksums || await computeFileChecksums(filePath);
+  const fingerprint = checksums.sha256;
+  const totalParts = Math.max(Math.ceil(fileSize / partSize), 1);
+
+  /**
+   * Starts a new multipart upload and saves its state.
+   * @returns {Promise<object>} The new upload state.
+   */
+  const startUpload = async () => {
+    try {
+      logger.debug(`Starting multipart upload for ${basePath} (${totalParts} parts)`);
+      const createResponse = await withRetry(() => apiClient.post(basePath, {
+        fileSize,
+        partSize,
+        totalParts,
+        checksums: { sha256: checksums.sha256, md5: checksums.md5 },
+      }), {
+        ...retryOptions,
+        label: 'Multipart upload start',
+      });
+      const uploadId = createResponse.data.uploadId;
+      if (!uploadId) {
+        throw new ApiError('Failed to get multipart upload ID from server response');
+      }
+      const newState = { uploadId, fingerprint, fileSize, partSize, parts: {} };
+      writeState(statePath, newState);
+      return newState;
+    } catch (error) {
+      throw toApiError(error, 'Failed to start multipart upload');
+    }
+  };
+
+  /**
+   * Uploads the parts the state does not have yet and completes the upload.
+   * @param {object} state The upload state, updated after every part.
+   * @returns {Promise<object>} The upload result.
+   */
+  const finishUpload = async (state) => {
+    // Parts finished by an earlier run count as already sent
+    let sentBytes = Object.keys(state.parts).reduce((sum, partNumber) => sum + Math.min(partSize, fileSize - (partNumber - 1) * partSize), 0);
+    const reportPart = options.onProgress && (loaded => options.onProgress(sentBytes + loaded, fileSize));
+
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+        if (state.parts[partNumber]) {
+          continue;
+        }
+        const body = readPart(fd, partNumber, partSize, fileSize);
+        state.parts[partNumber] = await uploadPart(apiClient, basePath, state.uploadId, partNumber, body, retryOptions, reportPart);
+        sentBytes += body.length;
+        writeState(statePath, state);
+        logger.debug(`Uploaded part ${partNumber}/${totalParts}`);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    try {
+      const parts = Object.keys(state.parts)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(partNumber => ({ partNumber, etag: state.parts[partNumber] }));
+      const completeResponse = await withRetry(() => apiClient.post(`${basePath}/complete`, { uploadId: state.uploadId, parts }), {
+        ...retryOptions,
+        label: 'Multipart upload completion',
+      });
+
+      fs.unlinkSync(statePath);
+      logger.debug('Multipart upload completed');
+      return { success: true, uploadId: state.uploadId, parts: totalParts, status: completeResponse.status, checksums };
+    } catch (error) {
+      throw toApiError(error, 'Failed to complete multipart upload');
+    }
+  };
+
+  // Only resume when the saved state describes exactly this archive
+  const savedState = readState(statePath);
+  const canResume = savedState &&
+    savedState.fingerprint === fingerprint &&
+    savedState.fileSize === fileSize &&
+    savedState.partSize === partSize;
+
+  if (canResume) {
+    logger.debug(`Resuming multipart upload ${savedState.uploadId} (${Object.keys(savedState.parts).length}/${totalParts} parts done)`);
+    try {
+      return await finishUpload(savedState);
+    } catch (error) {
+      if (!isStaleUploadError(error)) {
+        throw error;
+      }
+      // The upload expired or was aborted on the server; its state would fail every later run too
+      logger.info(`⚠️  Multipart upload ${savedState.uploadId} is no longer available (${error.statusCode}), starting a new upload.`);
+      removeState(statePath);
+    }
+  }
+
+  return finishUpload(await startUpload());
+}
+
+module.exports = {
+  uploadFileMultipart,
+  MIN_PART_SIZE,
+  DEFAULT_PART_SIZE,
+};
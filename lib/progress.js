@@ -0,0 +1,141 @@
+const BAR_WIDTH = 24;
+const TTY_RENDER_INTERVAL = 100; // ms between progress bar redraws
+const LOG_INTERVAL = 5000; // ms between progress lines when not attached to a terminal
+
+/**
+ * Formats a byte count as megabytes.
+ * @param {number} bytes The byte count.
+ * @returns {string} The formatted value, e.g. "12.3 MB".
+ */
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Formats a duration in seconds as a short human readable string.
+ * @param {number} seconds The duration.
+ * @returns {string} The formatted value, e.g. "1m 05s".
+ */
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) {
+    return '--';
+  }
+  const rounded = Math.round(seconds);
+  if (rounded < 60) {
+    return `${rounded}s`;
+  }
+  const minutes = Math.floor(rounded / 60);
+  return `${minutes}m ${String(rounded % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Creates a reporter that renders upload progress with throughput and ETA.
+ * In a terminal it redraws a progress bar in place; otherwise (e.g. in CI) it
+ * logs a progress line every few seconds.
+ * @param {object} options Reporter options.
+ * @param {object} options.logger The logger instance.
+ * @param {number} [options.total] Total bytes to send, if known.
+ * @param {string} [options.label] Prefix for the progress output.
+ * @param {boolean} [options.isTTY] Whether output goes to a terminal (default: process.stdout.isTTY).
+ * @returns {{update: function(number, number=): void, done: function(): void, stop: function(): void}} The reporter.
+ */
+function createProgressReporter({ logger, total, label = 'Uploading', isTTY = Boolean(process.stdout.isTTY) }) {
+  const startTime = Date.now();
+  let totalBytes = total;
+  let loadedBytes = 0;
+  // Without a terminal, hold the first line back until there is something to report
+  let lastRender = isTTY ? 0 : startTime;
+  let finished = false;
+
+  function describe() {
+    const elapsed = Math.max((Date.now() - startTime) / 1000, 0.001);
+    const rate = loadedBytes / elapsed;
+    const throughput = `${formatMegabytes(rate)}/s`;
+
+    if (!totalBytes) {
+      return `${label} ${formatMegabytes(loadedBytes)} ${throughput}`;
+    }
+
+    const ratio = Math.min(loadedBytes / totalBytes, 1);
+    const percent = `${(ratio * 100).toFixed(1)}%`;
+    const eta = rate > 0 ? formatDuration((totalBytes - loadedBytes) / rate) : '--';
+    const sizes = `${formatMegabytes(loadedBytes)}/${formatMegabytes(totalBytes)}`;
+
+    if (!isTTY) {
+      return `${label} ${percent} (${sizes}, ${throughput}, ETA ${eta})`;
+    }
+    const filled = Math.round(ratio * BAR_WIDTH);
+    const bar = '█'.repeat(filled) + '░'.repeat(BAR_WIDTH - filled);
+    return `${label} [${bar}] ${percent} ${sizes} ${throughput} ETA ${eta}`;
+  }
+
+  function render() {
+    const now = Date.now();
+    const interval = isTTY ? TTY_RENDER_INTERVAL : LOG_INTERVAL;
+    if (now - lastRender < interval) {
+      return;
+    }
+    lastRender = now;
+
+    if (isTTY) {
+      logger.progress(describe());
+    } else {
+      logger.info(describe());
+    }
+  }
+
+  return {
+    /**
+     * Records the number of bytes sent so far.
+     * @param {number} loaded Bytes sent so far.
+     * @param {number} [newTotal] Total bytes, if it became known.
+     */
+    update(loaded, newTotal) {
+      if (finished) {
+        return;
+      }
+      loadedBytes = loaded;
+      if (newTotal) {
+        totalBytes = newTotal;
+      }
+      render();
+    },
+
+    /**
+     * Renders the completed state and ends the progress line.
+     */
+    done() {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      if (totalBytes) {
+        loadedBytes = totalBytes;
+      }
+      if (isTTY) {
+        logger.progress(describe(), true);
+      } else {
+        logger.info(describe());
+      }
+    },
+
+    /**
+     * Ends the progress line without marking the upload complete, e.g. after a failure.
+     */
+    stop() {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      if (isTTY && lastRender) {
+        logger.progress(describe(), true);
+      }
+    },
+  };
+}
+
+module.exports = {
+  createProgressReporter,
+  formatMegabytes,
+  formatDuration
+};
@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { loadPackageConfig } = require('./config.js');
+const { PROJECT_SCHEMA, validateValue } = require('./configSchema.js');
+const { runDeployment } = require('./deploy.js');
+const { forEachWithConcurrency } = require('./incremental.js');
+const { isAffectedMode, getChangeSet, withSharedChanges } = require('./affected.js');
+const { formatTable } = require('./table.js');
+const { createLogger } = require('./logger.js');
+const { AppError, UsageError, ConfigError, ProjectsFailedError } = require('./errors.js');
+
+// Directories never searched for workspace packages
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
+// Options holding paths; in a package's own config file they are relative to the package
+const PATH_OPTIONS = ['dir', 'root', 'storiesDir', 'screenshotsDir'];
+
+/**
+ * Reads the workspace patterns of the repository at `root` from package.json (npm, Yarn) or pnpm-workspace.yaml.
+ * @param {string} root The workspace root.
+ * @returns {string[]} The patterns (e.g., "packages/*"), including negated ones.
+ */
+function readWorkspacePatterns(root) {
+  const patterns = [];
+
+  const packagePath = path.join(root, 'package.json');
+  if (fs.existsSync(packagePath)) {
+    const { workspaces } = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+    // Yarn also accepts { packages: [...], nohoist: [...] }
+    patterns.push(...[].concat((workspaces && workspaces.packages) || workspaces || []));
+  }
+
+  const pnpmPath = path.join(root, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmPath)) {
+    const workspace = YAML.parse(fs.readFileSync(pnpmPath, 'utf8')) || {};
+    patterns.push(...[].concat(workspace.packages || []));
+  }
+
+  return patterns;
+}
+
+/**
+ * Converts one path segment of a workspace pattern (e.g., "ui-*") to a regular expression.
+ * @param {string} segment The segment.
+ * @returns {RegExp} The expression.
+ */
+function segmentPattern(segment) {
+  const source = segment.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists the subdirectories of a directory, skipping dependencies and hidden directories.
+ * @param {string} dir The directory.
+ * @returns {string[]} The subdirectory names.
+ */
+function listDirectories(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !IGNORED_DIRECTORIES.includes(entry.name) && !entry.name.startsWith('.'))
+    .map(entry => entry.name);
+}
+
+/**
+ * Expands a workspace pattern into the directories it matches. Supports `*` within a segment and `**` for any depth.
+ * @param {string} root The workspace root.
+ * @param {string} pattern The pattern, relative to the root.
+ * @returns {string[]} The matching directories, relative to the root.
+ */
+function expandPattern(root, pattern) {
+  const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/');
+
+  const expand = (relative, index) => {
+    const absolute = path.join(root, relative);
+    if (!fs.existsSync(absolute) || !fs.statSync(absolute).isDirectory()) {
+      return [];
+    }
+    if (index === segments.length) {
+      return [relative];
+    }
+
+    const segment = segments[index];
+    if (segment === '**') {
+      // Zero or more directories
+      return [
+        ...expand(relative, index + 1),
+        ...listDirectories(absolute).flatMap(name => expand(path.join(relative, name), index)),
+      ];
+    }
+    if (segment.includes('*')) {
+      const matcher = segmentPattern(segment);
+      return listDirectories(absolute)
+        .filter(name => matcher.test(name))
+        .flatMap(name => expand(path.join(relative, name), index + 1));
+    }
+    return expand(path.join(relative, segment), index + 1);
+  };
+
+  return expand('', 0);
+}
+
+/**
+ * Finds the workspace packages of the repository at `root`.
+ * @param {string} root The workspace root.
+ * @returns {string[]} The package directories, relative to the root, in sorted order.
+ * @throws {UsageError} If the root declares no workspaces.
+ */
+function findWorkspacePackages(root) {
+  const patterns = readWorkspacePatterns(root);
+  if (patterns.length === 0) {
+    throw new UsageError(`No workspaces found in ${root}. Declare them in package.json or pnpm-workspace.yaml, or list the Storybooks in 'projects'.`);
+  }
+
+  const included = new Set(patterns.filter(pattern => !pattern.startsWith('!')).flatMap(pattern => expandPattern(root, pattern)));
+  patterns.filter(pattern => pattern.startsWith('!'))
+    .flatMap(pattern => expandPattern(root, pattern.slice(1)))
+    .forEach(dir => included.delete(dir));
+
+  return [...included]
+    .filter(dir => fs.existsSync(path.join(root, dir, 'package.json')))
+    .sort();
+}
+
+/**
+ * Checks project options from a workspace package's config file against the project schema.
+ * @param {object} values The options.
+ * @param {string} file Description of the config file.
+ * @throws {ConfigError} If any option is invalid.
+ */
+function validatePackageConfig(values, file) {
+  const issues = validateValue(PROJECT_SCHEMA, values).map(problem => {
+    const suggestion = problem.suggestion ? `. Did you mean '${problem.suggestion}'?` : '';
+    return { key: problem.path, source: `config file ${file}`, message: `'${problem.path}' from config file ${file} ${problem.message}${suggestion}` };
+  });
+  if (issues.length > 0) {
+    throw new ConfigError(`Invalid configuration:\n${issues.map(issue => `  - ${issue.message}`).join('\n')}`, issues);
+  }
+}
+
+/**
+ * Derives a project ID from a workspace package name (e.g., "@acme/ui" to "acme-ui").
+ * @param {string} name The package name.
+ * @returns {string} The project ID.
+ */
+function projectFromPackageName(name) {
+  return name.replace(/^@/, '').replace(/[^a-zA-Z0-9-_.]/g, '-');
+}
+
+/**
+ * Discovers the workspace packages that have a built Storybook at the configured `dir` (e.g., packages/ui/storybook-static).
+ * Each package's own config file (such as the "storybookDeployer" key in its package.json) supplies its options;
+ * stories and screenshots are looked up inside the package unless configured. A package that sets no `project`
+ * is deployed to the project named after it, so packages never share a deployment.
+ * @param {object} config The resolved configuration.
+ * @returns {Array<{name: string, options: object}>} The discovered projects.
+ * @throws {UsageError} If there are no workspaces or none has a built Storybook.
+ * @throws {ConfigError} If a package's config file is invalid.
+ */
+function discoverProjects(config) {
+  const root = process.cwd();
+  const storybookDir = path.isAbsolute(config.dir) ? path.basename(config.dir) : config.dir;
+  const packages = findWorkspacePackages(root);
+
+  const projects = packages
+    .filter(dir => {
+      const candidate = path.join(root, dir, storybookDir);
+      return fs.existsSync(candidate) && fs.statSync(candidate).isDirectory();
+    })
+    .map(dir => {
+      const { name } = JSON.parse(fs.readFileSync(path.join(root, dir, 'package.json'), 'utf8'));
+      const packageConfig = loadPackageConfig(path.join(root, dir));
+      const packageOptions = {};
+      if (packageConfig) {
+        validatePackageConfig(packageConfig.values, packageConfig.file);
+        Object.entries(packageConfig.values).forEach(([key, value]) => {
+          packageOptions[key] = PATH_OPTIONS.includes(key) && typeof value === 'string' && !path.isAbsolute(value)
+            ? path.join(dir, value)
+            : value;
+        });
+      }
+
+      return {
+        name: name || dir,
+        options: {
+          dir: path.join(dir, storybookDir),
+          root: dir,
+          project: projectFromPackageName(name || path.basename(dir)),
+          storiesDir: config.storiesDir || dir,
+          screenshotsDir: path.isAbsolute(config.screenshotsDir) ? config.screenshotsDir : path.join(dir, config.screenshotsDir),
+          ...packageOptions,
+        },
+      };
+    });
+
+  if (projects.length === 0) {
+    throw new UsageError(`No built Storybooks found: none of the ${packages.length} workspace package(s) has a '${storybookDir}' directory.`);
+  }
+  return projects;
+}
+
+/**
+ * Lists the Storybooks to deploy in monorepo mode, from `projects` or by discovering workspace packages.
+ * Listed entries must set their own `project`: the shared one would make every entry overwrite the same deployment.
+ * @param {object} config The resolved configuration.
+ * @returns {Array<{name: string, root: string, config: object}>} Each project with the directory whose changes affect it
+ *   and its configuration: the shared configuration with the project's options on top.
+ * @throws {ConfigError} If a project entry has no dir or project, or two projects would deploy the same version.
+ */
+function resolveProjects(config) {
+  const entries = config.projects
+    ? config.projects.map(({ name, ...options }, index) => {
+      const label = name ? `'${name}'` : `projects[${index}]`;
+      if (!options.dir) {
+        throw new ConfigError(`Project ${label} has no 'dir'. Each project needs the path to its built Storybook.`);
+      }
+      if (!options.project) {
+        throw new ConfigError(`Project ${label} has no 'project'. Each project needs its own project ID, or it would overwrite the others' deployments.`);
+      }
+      return { name: name || options.project, options };
+    })
+    : discoverProjects(config);
+
+  const projects = entries.map(({ name, options: { root, ...options } }) => ({
+    name,
+    // By default, a change anywhere in the package the Storybook is built from (e.g., packages/ui)
+    root: root || path.dirname(options.dir),
+    config: { ...config, ...options, projects: null, discoverProjects: false },
+  }));
+
+  const seen = new Map();
+  projects.forEach(project => {
+    const key = `${project.config.project}/${project.config.version}`;
+    if (seen.has(key)) {
+      throw new ConfigError(`Projects '${seen.get(key)}' and '${project.name}' would both deploy to ${key}. Give each its own 'project'.`);
+    }
+    seen.set(key, project.name);
+  });
+  return projects;
+}
+
+/**
+ * Wraps a logger so every line names the project it belongs to.
+ * In-place progress bars would garble each other when projects run side by side; only their final line is kept.
+ * @param {object} logger The logger instance.
+ * @param {string} name The project name.
+ * @returns {object} The prefixed logger.
+ */
+function createProjectLogger(logger, name) {
+  const prefix = message => message.replace(/^(\n*)/, `$1[${name}] `);
+  return {
+    info: message => logger.info(prefix(message)),
+    success: message => logger.success(prefix(message)),
+    error: message => logger.error(prefix(message)),
+    debug: message => logger.debug(prefix(message)),
+    progress: (message, final = false) => {
+      if (final) {
+        logger.info(prefix(message));
+      }
+    },
+  };
+}
+
+/**
+ * Describes a failed project for the run result.
+ * @param {Error} error The error the project failed with.
+ * @returns {object} The error code, message and details.
+ */
+function describeError(error) {
+  return {
+    code: error instanceof AppError ? error.code : 'UNEXPECTED_ERROR',
+    message: error.message,
+    statusCode: error.statusCode,
+    attempts: error.attempts,
+    issues: error.issues,
+  };
+}
+
+/**
+ * Formats the per-project summary of a monorepo deployment as a text table.
+ * @param {Array<object>} results The project results (see runProjectDeployments).
+ * @returns {string} The table.
+ */
+function formatProjectsTable(results) {
+  const rows = results.map(result => {
+    if (result.status === 'error') {
+      return [result.name, result.project || '-', result.version || '-', 'failed', result.error.message.split('\n')[0]];
+    }
+    if (result.skipped) {
+      return [result.name, result.project, result.version, 'unchanged', result.aliasOf ? `alias of ${result.aliasOf}` : '-'];
+    }
+    return [result.name, result.project, result.version, result.dryRun ? 'dry run' : 'deployed', result.urls.deployment || '-'];
+  });
+  return formatTable(['NAME', 'PROJECT', 'VERSION', 'STATUS', 'DETAILS'], rows);
+}
+
+/**
+ * Deploys several Storybooks in one run (monorepo mode), at most `concurrency` at a time.
+ * A failing project does not stop the others; the summary lists every project.
+ * With `affected` or `since`, projects the change set does not touch are skipped (see runDeployment).
+ * @param {object} config The resolved configuration, with `projects` or `discoverProjects` set.
+ * @param {object} [options] Run options (see createRunContext). Progress events carry the project name in `project`.
+ * @returns {Promise<{projects: Array<object>, summary: {total: number, succeeded: number, skipped: number, failed: number}}>}
+ *   Each project's run result with its name and `status: 'success'`. Skipped projects count as succeeded.
+ * @throws {ProjectsFailedError} If any project failed, with the results of all projects.
+ */
+async function runProjectDeployments(config, options = {}) {
+  const logger = options.logger || createLogger(config);
+  const projects = resolveProjects(config);
+  logger.info(`🚀 Deploying ${projects.length} Storybook(s), up to ${config.concurrency} at a time: ${projects.map(project => project.name).join(', ')}`);
+
+  // Compare with the base ref once for all projects
+  const changes = isAffectedMode(config) ? withSharedChanges(getChangeSet(config), projects.map(project => project.root)) : undefined;
+  if (changes) {
+    logger.info(`🔍 ${changes.files.length} file(s) changed since ${changes.since}`);
+    if (changes.shared.length > 0) {
+      logger.info(`📦 ${changes.shared.length} of them are outside every Storybook (e.g., ${path.relative(process.cwd(), changes.shared[0])}), so all Storybooks are affected.`);
+    }
+  }
+
+  const results = [];
+  await forEachWithConcurrency(projects.map((project, index) => ({ project, index })), config.concurrency, async ({ project, index }) => {
+    const projectLogger = createProjectLogger(logger, project.name);
+    try {
+      const result = await runDeployment(project.config, {
+        ...options,
+        changes,
+        root: project.root,
+        logger: projectLogger,
+        onProgress: options.onProgress && (event => options.onProgress({ ...event, project: project.name })),
+      });
+      results[index] = { name: project.name, status: 'success', ...result };
+    } catch (error) {
+      projectLogger.error(`❌ ${error.message}`);
+      results[index] = {
+        name: project.name,
+        status: 'error',
+        project: project.config.project,
+        version: project.config.version,
+        error: describeError(error),
+      };
+    }
+  });
+
+  const failed = results.filter(result => result.status === 'error');
+  const skipped = results.filter(result => result.skipped);
+  const summary = { total: results.length, succeeded: results.length - failed.length, skipped: skipped.length, failed: failed.length };
+  logger.info(`\n${formatProjectsTable(results)}`);
+
+  if (failed.length > 0) {
+    throw new ProjectsFailedError(
+      `${failed.length} of ${results.length} project(s) failed: ${failed.map(result => result.name).join(', ')}`,
+      results
+    );
+  }
+  const unchanged = skipped.length > 0 ? ` (${skipped.length} unchanged)` : '';
+  logger.success(`🎉 All ${results.length} project(s) ${config.dryRun ? 'checked' : 'deployed'}${unchanged}.`);
+  return { projects: results, summary };
+}
+
+module.exports = {
+  discoverProjects,
+  resolveProjects,
+  runProjectDeployments
+};
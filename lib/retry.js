@@ -0,0 +1,118 @@
+const { createLogger } = require('./logger.js');
+
+/**
+ * Default retry policy for API and upload calls.
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  jitter: true
+};
+
+// Network error codes worth retrying; anything else is treated as permanent
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+/**
+ * Builds a retry policy from the resolved configuration.
+ * @param {object} config The resolved configuration.
+ * @returns {{maxAttempts: number, baseDelay: number, maxDelay: number, jitter: boolean}} The retry policy.
+ */
+function getRetryPolicy(config = {}) {
+  const policy = { ...DEFAULT_RETRY_POLICY };
+  if (config.retryAttempts !== undefined) policy.maxAttempts = Math.max(1, Number(config.retryAttempts));
+  if (config.retryBaseDelay !== undefined) policy.baseDelay = Number(config.retryBaseDelay);
+  if (config.retryMaxDelay !== undefined) policy.maxDelay = Number(config.retryMaxDelay);
+  if (config.retryJitter !== undefined) policy.jitter = Boolean(config.retryJitter);
+  return policy;
+}
+
+/**
+ * Checks whether a failed request is worth retrying (5xx except 501, 408, 429 or a transient network error).
+ * @param {Error} error The error thrown by axios.
+ * @returns {boolean} True if the request should be retried.
+ */
+function isRetryableError(error) {
+  if (error.response) {
+    const status = error.response.status;
+    return (status >= 500 && status !== 501) || status === 408 || status === 429;
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Reads the Retry-After header of a failed response.
+ * @param {Error} error The error thrown by axios.
+ * @returns {number|null} The requested delay in milliseconds, or null if absent.
+ */
+function getRetryAfterDelay(error) {
+  const header = error.response && error.response.headers && error.response.headers['retry-after'];
+  if (!header) {
+    return null;
+  }
+
+  // Retry-After is either a number of seconds or an HTTP date
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Computes the exponential backoff delay before the next attempt.
+ * With jitter, the delay is randomized between half and the full backoff value.
+ * @param {number} attempt The attempt that just failed (1-based).
+ * @param {object} policy The retry policy.
+ * @returns {number} Delay in milliseconds.
+ */
+function computeBackoff(attempt, policy) {
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+  if (!policy.jitter) {
+    return backoff;
+  }
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Runs an async operation, retrying transient failures with exponential backoff.
+ * The error of the final attempt is rethrown with an `attempts` property.
+ * @param {function(number): Promise<*>} operation The operation, called with the attempt number.
+ * @param {object} [options] Retry options.
+ * @param {object} [options.policy] The retry policy (see getRetryPolicy).
+ * @param {object} [options.logger] Logger used to report each attempt.
+ * @param {string} [options.label] Name of the operation in log messages.
+ * @returns {Promise<*>} The result of the first successful attempt.
+ */
+async function withRetry(operation, options = {}) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...options.policy };
+  const logger = options.logger || createLogger({});
+  const label = options.label || 'Request';
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      logger.debug(`${label}: attempt ${attempt}/${policy.maxAttempts}`);
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= policy.maxAttempts || !isRetryableError(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const retryAfter = getRetryAfterDelay(error);
+      const delay = retryAfter !== null ? retryAfter : computeBackoff(attempt, policy);
+      const reason = error.response ? `${error.response.status} ${error.response.statusText}` : (error.code || error.message);
+      logger.info(`⚠️  ${label} failed (attempt ${attempt}/${policy.maxAttempts}): ${reason}. Retrying in ${(delay / 1000).toFixed(1)}s...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  getRetryPolicy,
+  isRetryableError,
+  getRetryAfterDelay,
+  withRetry
+};
@@ -11,9 +11,10 @@ const { execSync } = require('child_process');
  * @param {string} options.include - Include stories matching pattern (optional)
  * @param {string} options.exclude - Exclude stories matching pattern (optional)
  * @param {boolean} options.omitBackground - Omit background (default: true)
+ * @param {boolean} quiet - Send storycap output to stderr so stdout stays machine-readable (default: false)
  * @returns {Promise<void>}
  */
-async function captureScreenshots(storybookUrl, options = {}) {
+async function captureScreenshots(storybookUrl, options = {}, quiet = false) {
   // Build storycap command
   let command = `npx storycap "${storybookUrl}"`;
   
@@ -46,7 +47,7 @@ async function captureScreenshots(storybookUrl, options = {}) {
   }
   
   try {
-    execSync(command, { stdio: 'inherit' });
+    execSync(command, { stdio: quiet ? ['inherit', process.stderr, 'inherit'] : 'inherit' });
   } catch (error) {
     throw new Error(`Failed to capture screenshots: ${error.message}`);
   }
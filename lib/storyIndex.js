@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const { FileSystemError } = require('./errors.js');
+
+// Story indexes written by `storybook build`, newest format first: index.json (Storybook 7+) and stories.json (6.4-6.5)
+const INDEX_FILES = ['index.json', 'stories.json'];
+
+/**
+ * Sanitizes a title or export name the way Storybook does when it builds story IDs.
+ * @param {string} value The title or export name.
+ * @returns {string} The ID part (e.g., "example-button" for "Example/Button").
+ */
+function sanitizeIdPart(value) {
+  return value
+    .toLowerCase()
+    .replace(/[ ’–—―′¿'`~!@#$%^&*()_|+\-=?;:'",.<>{}[\]\\/]/gi, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-+/, '')
+    .replace(/-+$/, '');
+}
+
+/**
+ * Converts an export name to the story name Storybook derives from it (e.g., "WithImage_2" to "With Image 2").
+ * @param {string} exportName The export name.
+ * @returns {string} The story name.
+ */
+function storyNameFromExport(exportName) {
+  return exportName
+    .replace(/[_.-]/g, ' ')
+    .replace(/([^\n])([A-Z])([a-z])/g, '$1 $2$3')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/([a-z])([0-9])/gi, '$1 $2')
+    .replace(/([0-9])([a-z])/gi, '$1 $2')
+    .replace(/(\s|^)(\w)/g, (match, space, letter) => `${space}${letter.toUpperCase()}`)
+    .replace(/ +/g, ' ')
+    .trim();
+}
+
+/**
+ * Converts an entry of index.json (v4, v5) or stories.json (v3) to a story or docs page.
+ * @param {object} entry The index entry.
+ * @returns {{type: 'story'|'docs', id: string, title: string, name: string, importPath: string|null, componentPath: string|null,
+ *   exportName: string|null, tags: string[]|null}} The entry; stories.json has no tags and only recent versions record the
+ *   component file.
+ */
+function normalizeEntry(entry) {
+  const parameters = entry.parameters || {};
+  return {
+    type: entry.type === 'docs' || parameters.docsOnly ? 'docs' : 'story',
+    id: entry.id,
+    title: entry.title || entry.kind,
+    name: entry.name || entry.story,
+    importPath: entry.importPath || parameters.fileName || null,
+    componentPath: entry.componentPath || null,
+    // Only recent versions record the export a story comes from
+    exportName: entry.exportName || null,
+    tags: entry.tags || null,
+  };
+}
+
+/**
+ * Reads the story index of a built Storybook.
+ * @param {string} dir The built Storybook directory (e.g., storybook-static).
+ * @returns {{file: string, version: number|null, entries: Array<object>}|null} The index file, its format version and its
+ *   stories and docs pages (see normalizeEntry), or null if the build has no index.
+ * @throws {FileSystemError} If the index cannot be read or is not valid JSON.
+ */
+function readStoryIndex(dir) {
+  const file = INDEX_FILES.map(name => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+  if (!file) {
+    return null;
+  }
+
+  let index;
+  try {
+    index = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new FileSystemError(`Could not read the story index ${file}: ${error.message}`);
+  }
+
+  const entries = index.entries || index.stories;
+  if (!entries || typeof entries !== 'object') {
+    throw new FileSystemError(`Could not read the story index ${file}: it has no 'entries' or 'stories'`);
+  }
+
+  return {
+    file,
+    version: typeof index.v === 'number' ? index.v : null,
+    entries: Object.values(entries).map(normalizeEntry),
+  };
+}
+
+/**
+ * Finds the export a story comes from, for indexes that do not record it: the export whose sanitized name ends the story ID.
+ * @param {{id: string, exportName: string|null}} story The index story.
+ * @param {string[]} exportNames The story exports of its file.
+ * @returns {string|null} The export name, or null if none matches.
+ */
+function findExportName(story, exportNames) {
+  if (story.exportName) {
+    return exportNames.includes(story.exportName) ? story.exportName : null;
+  }
+  const idSuffix = story.id.substring(story.id.lastIndexOf('--') + 2);
+  return exportNames.find(exportName => sanitizeIdPart(storyNameFromExport(exportName)) === idSuffix) || null;
+}
+
+module.exports = {
+  INDEX_FILES,
+  readStoryIndex,
+  findExportName
+};
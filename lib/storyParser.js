@@ -0,0 +1,709 @@
+const path = require('path');
+const { parse } = require('@babel/parser');
+
+// Named exports that are never stories
+const RESERVED_EXPORTS = ['__namedExportsOrder'];
+
+// Story and meta properties recorded in the metadata, besides `play`
+const ANNOTATION_KEYS = ['args', 'argTypes', 'parameters', 'tags'];
+
+// How deep meta and story values are merged: args are replaced per arg, argTypes per field, parameters at any depth
+const MERGE_DEPTHS = { args: 1, argTypes: 2, parameters: Infinity };
+
+// Longest source text kept for a value that cannot be evaluated
+const MAX_EXPRESSION_LENGTH = 200;
+
+/**
+ * Picks the Babel syntax plugins for a file: TypeScript for .ts files, JSX for the others and .tsx.
+ * @param {string} filename The file name.
+ * @returns {string[]} The parser plugins.
+ */
+function getParserPlugins(filename) {
+  const extension = path.extname(filename).toLowerCase();
+  if (['.ts', '.mts', '.cts'].includes(extension)) {
+    // JSX would make `<Type>value` assertions ambiguous
+    return ['typescript'];
+  }
+  if (extension === '.tsx') {
+    return ['typescript', 'jsx'];
+  }
+  return ['jsx'];
+}
+
+/**
+ * Parses a source file into a Babel AST.
+ * @param {string} content The file content.
+ * @param {string} filename The file name, used to pick the syntax plugins.
+ * @returns {object} The File node.
+ * @throws {SyntaxError} If the file cannot be parsed.
+ */
+function parseSource(content, filename) {
+  return parse(content, {
+    sourceType: 'module',
+    plugins: getParserPlugins(filename),
+    // Keep going past recoverable errors, such as a duplicate declaration, so the rest of the file is still indexed
+    errorRecovery: true,
+  });
+}
+
+/**
+ * Strips TypeScript wrappers that do not change a value: `satisfies Meta`, `as Meta`, `<Meta>` and `!`.
+ * @param {object|null} node The expression.
+ * @returns {object|null} The wrapped expression.
+ */
+function unwrapExpression(node) {
+  let current = node;
+  while (current && ['TSSatisfiesExpression', 'TSAsExpression', 'TSTypeAssertion', 'TSNonNullExpression', 'ParenthesizedExpression'].includes(current.type)) {
+    current = current.expression;
+  }
+  return current;
+}
+
+/**
+ * Returns the static key of an object property (`title`, `'title'`), or null for computed keys.
+ * @param {object} property The ObjectProperty or ObjectMethod node.
+ * @returns {string|null} The key.
+ */
+function propertyKey(property) {
+  if (property.computed) {
+    return property.key.type === 'StringLiteral' ? property.key.value : null;
+  }
+  if (property.key.type === 'Identifier') {
+    return property.key.name;
+  }
+  return property.key.type === 'StringLiteral' ? property.key.value : null;
+}
+
+/**
+ * Finds a property of an object literal by key.
+ * @param {object|null} object The ObjectExpression node.
+ * @param {string} key The key.
+ * @returns {object|null} The ObjectProperty or ObjectMethod node.
+ */
+function findProperty(object, key) {
+  if (!object || object.type !== 'ObjectExpression') {
+    return null;
+  }
+  return object.properties.find(property => property.type !== 'SpreadElement' && propertyKey(property) === key) || null;
+}
+
+/**
+ * Returns the value of a string literal, including template literals without expressions.
+ * @param {object|null} node The expression.
+ * @returns {string|null} The string, or null if the value is not a static string.
+ */
+function stringValue(node) {
+  const value = unwrapExpression(node);
+  if (!value) {
+    return null;
+  }
+  if (value.type === 'StringLiteral') {
+    return value.value;
+  }
+  if (value.type === 'TemplateLiteral' && value.expressions.length === 0) {
+    return value.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Returns the name an expression refers to: `Button` or `Forms.Input`.
+ * @param {object|null} node The expression.
+ * @returns {string|null} The dotted name, or null for other expressions.
+ */
+function expressionName(node) {
+  const value = unwrapExpression(node);
+  if (!value) {
+    return null;
+  }
+  if (value.type === 'Identifier') {
+    return value.name;
+  }
+  if (value.type === 'MemberExpression' && !value.computed) {
+    const object = expressionName(value.object);
+    return object && `${object}.${value.property.name}`;
+  }
+  return null;
+}
+
+/**
+ * Returns the 1-based, inclusive line range of a node.
+ * @param {object} node The node.
+ * @returns {{startLine: number, endLine: number}} The location.
+ */
+function lineRange(node) {
+  return { startLine: node.loc.start.line, endLine: node.loc.end.line };
+}
+
+/**
+ * Collects the top-level declarations of a module and the statements that declare them.
+ * @param {object[]} body The program body.
+ * @returns {Map<string, {statement: object, init: object|null}>} The declarations, keyed by local name.
+ */
+function collectDeclarations(body) {
+  const declarations = new Map();
+
+  body.forEach(statement => {
+    const declaration = statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration'
+      ? statement.declaration
+      : statement;
+    if (!declaration) {
+      return;
+    }
+    if (declaration.type === 'VariableDeclaration') {
+      declaration.declarations
+        .filter(declarator => declarator.id.type === 'Identifier')
+        .forEach(declarator => declarations.set(declarator.id.name, { statement, init: declarator.init }));
+    } else if ((declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') && declaration.id) {
+      declarations.set(declaration.id.name, { statement, init: declaration });
+    }
+  });
+
+  return declarations;
+}
+
+/**
+ * Resolves the value of an identifier through top-level declarations, e.g. `export default meta`.
+ * @param {object|null} node The expression.
+ * @param {Map} declarations The module declarations (see collectDeclarations).
+ * @returns {object|null} The resolved expression, without TypeScript wrappers.
+ */
+function resolveValue(node, declarations) {
+  let value = unwrapExpression(node);
+  const seen = new Set();
+  while (value && value.type === 'Identifier' && declarations.has(value.name) && !seen.has(value.name)) {
+    seen.add(value.name);
+    value = unwrapExpression(declarations.get(value.name).init);
+  }
+  return value;
+}
+
+/**
+ * Finds the default export (the CSF meta) of a story file.
+ * @param {object[]} body The program body.
+ * @param {Map} declarations The module declarations (see collectDeclarations).
+ * @returns {{node: object|null, localName: string|null}} The meta object, if it is an object literal, and the
+ *   variable it is declared in (e.g., `meta`), if any.
+ */
+function findMeta(body, declarations) {
+  for (const statement of body) {
+    let exported = null;
+    if (statement.type === 'ExportDefaultDeclaration') {
+      exported = statement.declaration;
+    } else if (statement.type === 'ExportNamedDeclaration' && !statement.source) {
+      // export { meta as default }
+      const specifier = statement.specifiers.find(candidate => candidate.exported.name === 'default' || candidate.exported.value === 'default');
+      exported = specifier ? specifier.local : null;
+    }
+    if (exported) {
+      const unwrapped = unwrapExpression(exported);
+      const value = resolveValue(unwrapped, declarations);
+      return {
+        node: value && value.type === 'ObjectExpression' ? value : null,
+        localName: unwrapped.type === 'Identifier' ? unwrapped.name : null,
+      };
+    }
+  }
+  return { node: null, localName: null };
+}
+
+/**
+ * Marks a value that cannot be evaluated statically, keeping its source text (e.g., `{ $expression: "fn()" }`).
+ * @param {object} node The expression.
+ * @param {string} content The file content.
+ * @returns {{$expression: string}} The marker.
+ */
+function expressionMarker(node, content) {
+  const text = content.slice(node.start, node.end).replace(/\s+/g, ' ');
+  return { $expression: text.length > MAX_EXPRESSION_LENGTH ? `${text.substring(0, MAX_EXPRESSION_LENGTH - 1)}…` : text };
+}
+
+/**
+ * Checks whether a value is a plain object that can be merged, rather than an array or an expression marker.
+ * @param {*} value The value.
+ * @returns {boolean} Whether the value is a plain object.
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !('$expression' in value);
+}
+
+/**
+ * Evaluates an expression to a JSON value: literals, arrays, objects (including spreads) and top-level constants.
+ * Anything else, such as a function or a call, becomes an expression marker (see expressionMarker).
+ * @param {object} node The expression.
+ * @param {{content: string, declarations: Map}} context The file content and its declarations (see collectDeclarations).
+ * @param {Set<string>} [resolving] Constants being resolved, to stop at circular references.
+ * @returns {*} The value.
+ */
+function evaluateStatic(node, context, resolving = new Set()) {
+  const value = unwrapExpression(node);
+  const marker = () => expressionMarker(value, context.content);
+
+  switch (value.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return value.value;
+    case 'NullLiteral':
+      return null;
+    case 'TemplateLiteral': {
+      const string = stringValue(value);
+      return string === null ? marker() : string;
+    }
+    case 'UnaryExpression':
+      return value.operator === '-' && value.argument.type === 'NumericLiteral' ? -value.argument.value : marker();
+    case 'Identifier': {
+      const declaration = context.declarations.get(value.name);
+      if (!declaration || !declaration.init || resolving.has(value.name)) {
+        return marker();
+      }
+      const resolved = evaluateStatic(declaration.init, context, new Set([...resolving, value.name]));
+      // Keep the name when the constant itself is not static, e.g. a function
+      return resolved !== null && typeof resolved === 'object' && '$expression' in resolved ? marker() : resolved;
+    }
+    case 'ArrayExpression': {
+      const items = [];
+      for (const element of value.elements) {
+        if (element && element.type === 'SpreadElement') {
+          const spread = evaluateStatic(element.argument, context, resolving);
+          if (!Array.isArray(spread)) {
+            return marker();
+          }
+          items.push(...spread);
+        } else {
+          items.push(element ? evaluateStatic(element, context, resolving) : null);
+        }
+      }
+      return items;
+    }
+    case 'ObjectExpression': {
+      const object = {};
+      for (const property of value.properties) {
+        if (property.type === 'SpreadElement') {
+          const spread = evaluateStatic(property.argument, context, resolving);
+          if (!isPlainObject(spread)) {
+            return marker();
+          }
+          Object.assign(object, spread);
+          continue;
+        }
+        const key = propertyKey(property);
+        if (key === null) {
+          return marker();
+        }
+        object[key] = property.type === 'ObjectMethod'
+          ? expressionMarker(property, context.content)
+          : evaluateStatic(property.value, context, resolving);
+      }
+      return object;
+    }
+    default:
+      return marker();
+  }
+}
+
+/**
+ * Lists the top-level property assignments of each variable, such as CSF2's `Primary.args = {...}`.
+ * @param {object[]} body The program body.
+ * @returns {Map<string, Array<{property: string, value: object, statement: object}>>} The assignments, keyed by variable.
+ */
+function collectAssignments(body) {
+  const assignments = new Map();
+
+  body.forEach(statement => {
+    const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+    if (!expression || expression.type !== 'AssignmentExpression' || expression.operator !== '='
+      || expression.left.type !== 'MemberExpression' || expression.left.object.type !== 'Identifier') {
+      return;
+    }
+    const { object, property, computed } = expression.left;
+    const name = computed ? stringValue(property) : property.name;
+    if (name === null) {
+      return;
+    }
+    if (!assignments.has(object.name)) {
+      assignments.set(object.name, []);
+    }
+    assignments.get(object.name).push({ property: name, value: expression.right, statement });
+  });
+
+  return assignments;
+}
+
+/**
+ * Reads the args, argTypes, parameters and tags a story or meta declares, and whether it has a play function.
+ * Values come from the object itself, stories it spreads (`{ ...Primary, args }`) and CSF2 assignments.
+ * @param {object|null} node The story or meta expression.
+ * @param {string|null} localName The variable it is declared in, for CSF2 assignments.
+ * @param {{content: string, declarations: Map, assignments: Map}} context The file content, declarations and assignments.
+ * @param {Set<string>} [seen] Stories already spread, to stop at circular references.
+ * @returns {{args?: *, argTypes?: *, parameters?: *, tags?: *, play?: boolean}} The declared values.
+ */
+function collectAnnotations(node, localName, context, seen = new Set()) {
+  const annotations = {};
+  const record = (key, value) => {
+    if (key === 'play') {
+      annotations.play = true;
+    } else if (ANNOTATION_KEYS.includes(key)) {
+      annotations[key] = evaluateStatic(value, context);
+    }
+  };
+
+  const object = resolveValue(node, context.declarations);
+  if (object && object.type === 'ObjectExpression') {
+    object.properties.forEach(property => {
+      if (property.type === 'SpreadElement') {
+        const spread = unwrapExpression(property.argument);
+        if (spread.type === 'Identifier' && !seen.has(spread.name)) {
+          Object.assign(annotations, collectAnnotations(spread, spread.name, context, new Set([...seen, spread.name])));
+        }
+        return;
+      }
+      const key = propertyKey(property);
+      // A method can only be play; other annotations must be values
+      if (property.type === 'ObjectMethod' ? key === 'play' : key !== null) {
+        record(key, property.value);
+      }
+    });
+  }
+
+  (context.assignments.get(localName) || []).forEach(({ property, value }) => record(property, value));
+  return annotations;
+}
+
+/**
+ * Merges a story value over a meta value, down to the given depth. Expression markers are never merged into.
+ * @param {*} base The meta value.
+ * @param {*} override The story value.
+ * @param {number} depth How many levels of objects to merge; 0 replaces the base.
+ * @returns {*} The merged value.
+ */
+function mergeValues(base, override, depth) {
+  if (override === undefined) {
+    return base;
+  }
+  if (base === undefined || depth === 0 || !isPlainObject(base) || !isPlainObject(override)) {
+    return override;
+  }
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] = mergeValues(base[key], value, depth - 1);
+  });
+  return merged;
+}
+
+/**
+ * Combines the meta's annotations with a story's, as Storybook does when it renders the story.
+ * Tags are concatenated, keeping negations such as `!test`.
+ * @param {object} meta The meta annotations (see collectAnnotations).
+ * @param {object} story The story annotations.
+ * @returns {{args: *, argTypes: *, parameters: *, tags: *, play: boolean}} The story's effective values.
+ */
+function composeAnnotations(meta, story) {
+  const composed = {};
+  Object.entries(MERGE_DEPTHS).forEach(([key, depth]) => {
+    const value = mergeValues(meta[key], story[key], depth);
+    composed[key] = value === undefined ? {} : value;
+  });
+
+  if (Array.isArray(meta.tags) && Array.isArray(story.tags)) {
+    composed.tags = [...new Set([...meta.tags, ...story.tags])];
+  } else {
+    composed.tags = [story.tags, meta.tags, []].find(tags => tags !== undefined);
+  }
+  composed.play = Boolean(story.play || meta.play);
+  return composed;
+}
+
+/**
+ * Builds the includeStories/excludeStories filter of a meta object (arrays of names or regular expressions).
+ * @param {object|null} meta The meta object.
+ * @returns {function(string): boolean} Whether a named export is a story.
+ */
+function createStoryFilter(meta) {
+  const matcher = key => {
+    const property = findProperty(meta, key);
+    const value = property && unwrapExpression(property.value);
+    if (!value) {
+      return null;
+    }
+    if (value.type === 'RegExpLiteral') {
+      const pattern = new RegExp(value.pattern, value.flags);
+      return name => pattern.test(name);
+    }
+    if (value.type === 'ArrayExpression') {
+      const names = value.elements.map(stringValue).filter(name => name !== null);
+      return name => names.includes(name);
+    }
+    return null;
+  };
+
+  const include = matcher('includeStories');
+  const exclude = matcher('excludeStories');
+  return name => (!include || include(name)) && !(exclude && exclude(name));
+}
+
+/**
+ * Lists the named exports of a module with the statement that declares each one.
+ * @param {object[]} body The program body.
+ * @param {Map} declarations The module declarations (see collectDeclarations).
+ * @returns {Array<{name: string, localName?: string, statement: object, init: object|null, reexportedFrom?: string}>}
+ *   The exports, with the local name they are declared under.
+ */
+function collectNamedExports(body, declarations) {
+  const exports = [];
+
+  body.filter(statement => statement.type === 'ExportNamedDeclaration' && statement.exportKind !== 'type').forEach(statement => {
+    const { declaration } = statement;
+    if (declaration && declaration.type === 'VariableDeclaration') {
+      declaration.declarations
+        .filter(declarator => declarator.id.type === 'Identifier')
+        .forEach(declarator => exports.push({ name: declarator.id.name, localName: declarator.id.name, statement, init: declarator.init }));
+    } else if (declaration && declaration.type === 'FunctionDeclaration' && declaration.id) {
+      exports.push({ name: declaration.id.name, localName: declaration.id.name, statement, init: declaration });
+    }
+
+    statement.specifiers
+      .filter(specifier => specifier.type === 'ExportSpecifier' && specifier.exportKind !== 'type')
+      .forEach(specifier => {
+        const name = specifier.exported.name || specifier.exported.value;
+        if (name === 'default') {
+          return;
+        }
+        if (statement.source) {
+          // export { Primary } from './Button.stories'
+          exports.push({ name, statement, init: null, reexportedFrom: statement.source.value });
+          return;
+        }
+        const local = declarations.get(specifier.local.name);
+        exports.push({ name, localName: specifier.local.name, statement: local ? local.statement : statement, init: local ? local.init : null });
+      });
+  });
+
+  return exports;
+}
+
+/**
+ * Finds the last line of a story, including CSF2 property assignments after its declaration (`Primary.args = {...}`).
+ * @param {Map} assignments The property assignments (see collectAssignments).
+ * @param {string|undefined} localName The variable the story is declared in.
+ * @param {object} statement The statement that declares the story.
+ * @returns {number} The last line.
+ */
+function findStoryEnd(assignments, localName, statement) {
+  return (assignments.get(localName) || [])
+    .reduce((endLine, assignment) => Math.max(endLine, assignment.statement.loc.end.line), statement.loc.end.line);
+}
+
+/**
+ * Unwinds a call chain such as `storiesOf('Button', module).addParameters({...}).add('Primary', ...)`.
+ * @param {object|null} node The outermost expression.
+ * @returns {{base: object|null, calls: object[]}} What the chain starts from (a call or a variable) and the method calls
+ *   made on it, in order.
+ */
+function unwindChain(node) {
+  const calls = [];
+  let current = unwrapExpression(node);
+  while (current && current.type === 'CallExpression' && current.callee.type === 'MemberExpression') {
+    calls.unshift(current);
+    current = unwrapExpression(current.callee.object);
+  }
+  return { base: current, calls };
+}
+
+/**
+ * Collects legacy `storiesOf` stories: `storiesOf('Button', module).add('with text', () => ..., parameters)`, including
+ * chains kept in a variable and continued in later statements (`const stories = storiesOf(...); stories.add(...)`).
+ * @param {object[]} body The program body.
+ * @param {{content: string, declarations: Map}} context The file content and declarations.
+ * @returns {{kinds: Array<{title: string|null, component: string|null}>, stories: Array<object>}} Each storiesOf call
+ *   and the stories added to it, with their title, location and parameters.
+ */
+function collectStoriesOf(body, context) {
+  const kinds = [];
+  const kindsByVariable = new Map();
+  const added = [];
+
+  const readChain = (expression, variable) => {
+    const { base, calls } = unwindChain(expression);
+    let kind = null;
+    if (base && base.type === 'CallExpression' && base.callee.type === 'Identifier' && base.callee.name === 'storiesOf') {
+      kind = { title: stringValue(base.arguments[0]), component: null, parameters: {} };
+      kinds.push(kind);
+    } else if (base && base.type === 'Identifier') {
+      kind = kindsByVariable.get(base.name);
+    }
+    if (!kind) {
+      return;
+    }
+
+    calls.forEach(call => {
+      const method = call.callee.computed ? null : call.callee.property.name;
+      const [first, , third] = call.arguments;
+      if (method === 'add' && first) {
+        added.push({
+          kind,
+          name: stringValue(first) || expressionMarker(first, context.content).$expression,
+          location: { startLine: call.callee.property.loc.start.line, endLine: call.loc.end.line },
+          parameters: third ? evaluateStatic(third, context) : undefined,
+        });
+      } else if (method === 'addParameters' && first) {
+        const component = findProperty(unwrapExpression(first), 'component');
+        kind.component = (component && component.type === 'ObjectProperty' && expressionName(component.value)) || kind.component;
+        kind.parameters = mergeValues(kind.parameters, evaluateStatic(first, context), Infinity);
+      }
+    });
+    if (variable) {
+      kindsByVariable.set(variable, kind);
+    }
+  };
+
+  body.forEach(statement => {
+    if (statement.type === 'ExpressionStatement') {
+      readChain(statement.expression, null);
+    } else if (statement.type === 'VariableDeclaration') {
+      statement.declarations
+        .filter(declarator => declarator.id.type === 'Identifier' && declarator.init)
+        .forEach(declarator => readChain(declarator.init, declarator.id.name));
+    }
+  });
+
+  return {
+    kinds,
+    // Parameters added to the kind apply to all its stories, even those added before them
+    stories: added.map(({ kind, name, location, parameters }) => ({
+      name,
+      title: kind.title,
+      location,
+      ...composeAnnotations({ parameters: kind.parameters }, { parameters }),
+    })),
+  };
+}
+
+/**
+ * Finds the component a story file documents: the meta's `component`, or else the first PascalCase value
+ * imported from a relative path.
+ * @param {object|null} meta The meta object.
+ * @param {object[]} body The program body.
+ * @returns {string|null} The component name.
+ */
+function findComponentName(meta, body) {
+  const component = findProperty(meta, 'component');
+  const name = component && component.type === 'ObjectProperty' ? expressionName(component.value) : null;
+  if (name) {
+    return name;
+  }
+
+  for (const statement of body) {
+    if (statement.type !== 'ImportDeclaration' || statement.importKind === 'type' || !statement.source.value.startsWith('.')) {
+      continue;
+    }
+    const specifier = statement.specifiers.find(candidate => candidate.importKind !== 'type' && /^[A-Z]/.test(candidate.local.name));
+    if (specifier) {
+      return specifier.local.name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the import a component comes from.
+ * @param {object[]} body The program body.
+ * @param {string|null} componentName The component name (e.g., `Button` or `Forms.Input`).
+ * @returns {{source: string, importedName: string}|null} The module and the name the component is exported under
+ *   ('default' for default exports), or null if the component is not imported, e.g. because it is declared in the file.
+ */
+function findComponentImport(body, componentName) {
+  if (!componentName) {
+    return null;
+  }
+  const [localName, member, ...rest] = componentName.split('.');
+
+  for (const statement of body) {
+    if (statement.type !== 'ImportDeclaration' || statement.importKind === 'type') {
+      continue;
+    }
+    const specifier = statement.specifiers.find(candidate => candidate.local.name === localName);
+    if (!specifier) {
+      continue;
+    }
+    const source = statement.source.value;
+    if (specifier.type === 'ImportNamespaceSpecifier') {
+      // import * as Forms from './forms'; component: Forms.Input
+      return member && rest.length === 0 ? { source, importedName: member } : null;
+    }
+    if (member) {
+      // A property of an imported value, such as Tabs.Panel, has no export of its own
+      return null;
+    }
+    const importedName = specifier.type === 'ImportDefaultSpecifier' ? 'default' : specifier.imported.name || specifier.imported.value;
+    return { source, importedName };
+  }
+  return null;
+}
+
+/**
+ * Parses a Component Story Format (CSF) file.
+ * Handles CSF3 story objects and CSF2 story functions, meta declared in a variable (`const meta = {...} satisfies
+ * Meta<typeof Button>; export default meta`), typed stories (`StoryObj<typeof meta>`), `export { A as B }` and
+ * re-exports from other files, and `includeStories`/`excludeStories`. Files without a default export are read as
+ * legacy `storiesOf` files if they call it; their stories are named after `.add()` and carry their own title.
+ * Each story gets its args, argTypes, parameters and tags combined with the meta's, as JSON; values that cannot be
+ * evaluated statically are kept as `{ $expression: "<source>" }`.
+ * @param {string} content The file content.
+ * @param {string} [filename] The file name, used to pick the syntax plugins (default: a .tsx file).
+ * @returns {{title: string|null, componentName: string|null, componentImport: {source: string, importedName: string}|null,
+ *   meta: {location: object}|null,
+ *   stories: Array<{name: string, location: {startLine: number, endLine: number}, args: *, argTypes: *, parameters: *,
+ *   tags: *, play: boolean, title?: string|null, reexportedFrom?: string}>}}
+ *   The meta title and component, and the stories in export order.
+ * @throws {SyntaxError} If the file cannot be parsed.
+ */
+function parseStoryFile(content, filename = 'story.tsx') {
+  const { program } = parseSource(content, filename);
+  const declarations = collectDeclarations(program.body);
+  const assignments = collectAssignments(program.body);
+  const context = { content, declarations, assignments };
+  const meta = findMeta(program.body, declarations);
+  const metaAnnotations = collectAnnotations(meta.node, meta.localName, context);
+  const isStory = createStoryFilter(meta.node);
+
+  const stories = collectNamedExports(program.body, declarations)
+    // A meta variable that is also exported by name is not a story
+    .filter(entry => !RESERVED_EXPORTS.includes(entry.name) && entry.name !== meta.localName && isStory(entry.name))
+    .map(entry => ({
+      name: entry.name,
+      location: { startLine: entry.statement.loc.start.line, endLine: findStoryEnd(assignments, entry.localName, entry.statement) },
+      // Re-exported stories are declared elsewhere, so only the meta applies
+      ...composeAnnotations(metaAnnotations, entry.reexportedFrom ? {} : collectAnnotations(entry.init, entry.localName, context)),
+      ...(entry.reexportedFrom && { reexportedFrom: entry.reexportedFrom }),
+    }));
+
+  // Files without a default export may use the storiesOf API
+  const legacy = meta.node || meta.localName ? null : collectStoriesOf(program.body, context);
+  if (legacy && legacy.stories.length > 0) {
+    const kind = legacy.kinds.find(candidate => candidate.component);
+    const componentName = kind ? kind.component : findComponentName(null, program.body);
+    return {
+      title: legacy.kinds[0].title,
+      componentName,
+      componentImport: findComponentImport(program.body, componentName),
+      meta: null,
+      stories: legacy.stories,
+    };
+  }
+
+  const title = findProperty(meta.node, 'title');
+  const componentName = findComponentName(meta.node, program.body);
+  return {
+    title: title && title.type === 'ObjectProperty' ? stringValue(title.value) : null,
+    componentName,
+    componentImport: findComponentImport(program.body, componentName),
+    meta: meta.node ? { location: lineRange(meta.node) } : null,
+    stories,
+  };
+}
+
+module.exports = {
+  parseStoryFile
+};
@@ -0,0 +1,17 @@
+/**
+ * Formats rows as an aligned plain-text table.
+ * @param {string[]} header The column titles.
+ * @param {Array<Array<string|number>>} rows The table rows.
+ * @returns {string} The table.
+ */
+function formatTable(header, rows) {
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => String(row[column]).length)));
+
+  return [header, ...rows]
+    .map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
+
+module.exports = {
+  formatTable
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { ConfigError } = require('./errors.js');
+const { suggestKey } = require('./configSchema.js');
+
+// Tried in order when no versionTemplate is configured: the first one whose placeholders all resolve wins
+const DEFAULT_VERSION_TEMPLATES = ['pr-{pr}', '{tag}', '{branch}', '{shortSha}'];
+
+const PLACEHOLDER_PATTERN = /\{([^{}|]+)((?:\|[^{}|]+)*)\}/g;
+
+/**
+ * Filters that transform a placeholder value, written as {tag|semver-major}.
+ * A filter returns null when the value does not fit, so the next template is tried.
+ */
+const FILTERS = {
+  'semver': value => {
+    const match = value.match(/^v?(\d+\.\d+\.\d+(?:[-+][0-9A-Za-z.-]+)?)$/);
+    return match ? match[1] : null;
+  },
+  'semver-major': value => {
+    const match = value.match(/^v?(\d+)\.\d+\.\d+/);
+    return match ? match[1] : null;
+  },
+  'semver-minor': value => {
+    const match = value.match(/^v?(\d+\.\d+)\.\d+/);
+    return match ? match[1] : null;
+  },
+  'lower': value => value.toLowerCase(),
+  'upper': value => value.toUpperCase(),
+};
+
+/**
+ * Runs a git command in the working directory.
+ * @param {string} command The git command.
+ * @returns {string|null} The trimmed output, or null if git failed.
+ */
+function runGit(command) {
+  try {
+    return execSync(command, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the resolvers of every placeholder. On CI, pull request, branch, tag and commit come from the
+ * provider's variables; elsewhere from git. Each resolver returns the value and where it came from, or null.
+ * @param {object|null} ci The CI context (see detectCiContext).
+ * @returns {Object<string, function(): ({value: string, origin: string}|null)>} The resolvers, keyed by placeholder.
+ */
+function createPlaceholders(ci) {
+  const fromCi = field => (ci && ci[field] !== null
+    ? { value: String(ci[field]), origin: `${ci.variables[field]}=${process.env[ci.variables[field]]}` }
+    : null);
+  const fromGit = (command, transform = value => value) => {
+    const value = runGit(command);
+    return value && transform(value) ? { value: transform(value), origin: command } : null;
+  };
+
+  const placeholders = {
+    pr: () => fromCi('prNumber'),
+    // A detached HEAD has no branch name
+    branch: () => (ci ? fromCi('branch') : fromGit('git rev-parse --abbrev-ref HEAD', value => (value === 'HEAD' ? null : value))),
+    tag: () => (ci ? fromCi('tag') : fromGit('git describe --tags --exact-match HEAD')),
+    sha: () => (ci ? fromCi('commitSha') : fromGit('git rev-parse HEAD')),
+    shortSha: () => {
+      const sha = placeholders.sha();
+      return sha && { value: sha.value.substring(0, 7), origin: sha.origin };
+    },
+    provider: () => (ci ? { value: ci.provider, origin: `${ci.name} detection` } : null),
+    packageVersion: () => {
+      const packagePath = path.join(process.cwd(), 'package.json');
+      try {
+        const { version } = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+        return version ? { value: version, origin: `${packagePath} version` } : null;
+      } catch (error) {
+        return null;
+      }
+    },
+  };
+
+  // Resolve each placeholder at most once, since git lookups spawn a process
+  const cache = {};
+  return Object.fromEntries(Object.entries(placeholders).map(([name, resolve]) => [
+    name,
+    () => (name in cache ? cache[name] : (cache[name] = resolve())),
+  ]));
+}
+
+/**
+ * Replaces characters that are not safe in a URL path segment.
+ * Branch names also lose dots (release/1.0 becomes release-1-0), as versions derived from branches always have.
+ * @param {string} name The placeholder name.
+ * @param {string} value The value.
+ * @returns {string} The sanitized value.
+ */
+function sanitizePlaceholder(name, value) {
+  if (name === 'branch') {
+    return value.replace(/[^a-zA-Z0-9-_]/g, '-');
+  }
+  return value.replace(/[^a-zA-Z0-9-_.]/g, '-');
+}
+
+/**
+ * Shortens a version to the maximum length, keeping it unique with a hash of the full version.
+ * @param {string} version The version.
+ * @param {number} maxLength The maximum length.
+ * @returns {string} The version, at most maxLength characters long.
+ */
+function limitLength(version, maxLength) {
+  if (version.length <= maxLength) {
+    return version;
+  }
+  const hash = crypto.createHash('sha1').update(version).digest('hex').substring(0, 7);
+  return `${version.substring(0, maxLength - hash.length - 1).replace(/[-_.]+$/, '')}-${hash}`;
+}
+
+/**
+ * Renders a single version template.
+ * @param {string} template The template (e.g., "{branch}-{shortSha}").
+ * @param {object} placeholders The placeholder resolvers (see createPlaceholders).
+ * @param {string} where Description of where the template was configured, for error messages.
+ * @returns {{version: string, inputs: string[]}|null} The version and the inputs it used, or null if a placeholder is unavailable.
+ * @throws {ConfigError} If the template uses an unknown placeholder or filter.
+ */
+function renderTemplate(template, placeholders, where) {
+  const inputs = [];
+  let missing = false;
+
+  const version = template.replace(PLACEHOLDER_PATTERN, (match, name, filterList) => {
+    if (!placeholders[name]) {
+      const suggestion = suggestKey(name, Object.keys(placeholders));
+      throw new ConfigError(`Unknown placeholder '{${name}}' in version template "${template}" from ${where}.${suggestion ? ` Did you mean '{${suggestion}}'?` : ''}`);
+    }
+    const filters = filterList.split('|').slice(1);
+    filters.forEach(filter => {
+      if (!FILTERS[filter]) {
+        throw new ConfigError(`Unknown filter '${filter}' in version template "${template}" from ${where}. Available filters: ${Object.keys(FILTERS).join(', ')}`);
+      }
+    });
+
+    const resolved = missing ? null : placeholders[name]();
+    let value = resolved ? resolved.value : null;
+    for (const filter of filters) {
+      value = value === null ? null : FILTERS[filter](value);
+    }
+    if (value === null || value === '') {
+      missing = true;
+      return '';
+    }
+    inputs.push(resolved.origin);
+    return sanitizePlaceholder(name, value);
+  });
+
+  return missing ? null : { version, inputs };
+}
+
+/**
+ * Derives the deployment version from the first template whose placeholders all resolve.
+ * Placeholders: {pr}, {branch}, {tag}, {sha}, {shortSha}, {provider} and {packageVersion}, with optional
+ * filters such as {tag|semver-major}. The result is sanitized for URLs and limited to maxLength characters.
+ * @param {string|string[]|null} templates The configured versionTemplate; null uses DEFAULT_VERSION_TEMPLATES.
+ * @param {object} options Inference options.
+ * @param {object|null} options.ci The CI context (see detectCiContext).
+ * @param {number} options.maxLength The maximum version length.
+ * @param {string} [options.where] Description of where the template was configured, for error messages.
+ * @returns {{version: string, template: string, inputs: string[]}|null} The version, the template used and its inputs, or null.
+ * @throws {ConfigError} If a template uses an unknown placeholder or filter.
+ */
+function inferVersionFromTemplate(templates, options) {
+  const placeholders = createPlaceholders(options.ci);
+  const where = options.where || 'the configuration';
+
+  for (const template of [].concat(templates || DEFAULT_VERSION_TEMPLATES)) {
+    const rendered = renderTemplate(template, placeholders, where);
+    if (!rendered) {
+      continue;
+    }
+    // Literal parts of the template are sanitized too
+    const version = limitLength(rendered.version.replace(/[^a-zA-Z0-9-_.]/g, '-'), options.maxLength);
+    if (version) {
+      return { version, template, inputs: rendered.inputs };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_VERSION_TEMPLATES,
+  inferVersionFromTemplate,
+  sanitizePlaceholder
+};
@@ -0,0 +1,92 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+const { getChangeSet, withSharedChanges, isAffected } = require('../lib/affected.js');
+
+/**
+ * Writes a file, creating its directory.
+ * @param {string} filePath The file path.
+ * @param {string} content The content.
+ */
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+/**
+ * Runs git in the current directory with a fixed identity.
+ * @param {...string} args The git arguments.
+ */
+function git(...args) {
+  execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { stdio: 'ignore' });
+}
+
+describe('affected Storybooks', () => {
+  let originalCwd;
+  let repo;
+  let ui;
+  let forms;
+
+  before(() => {
+    originalCwd = process.cwd();
+    repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'storybook-deployer-affected-')));
+    ui = path.join(repo, 'packages/ui');
+    forms = path.join(repo, 'packages/forms');
+    process.chdir(repo);
+
+    writeFile('package.json', '{ "private": true }');
+    writeFile('package-lock.json', '{}');
+    writeFile('packages/ui/src/Button.tsx', 'export const Button = () => null;');
+    writeFile('packages/forms/src/Input.tsx', 'export const Input = () => null;');
+    git('init', '-q', '-b', 'main');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'initial');
+    git('checkout', '-q', '-b', 'feature');
+  });
+
+  after(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('only affects the package that changed', () => {
+    writeFile('packages/ui/src/Button.tsx', 'export const Button = () => "button";');
+    const changes = withSharedChanges(getChangeSet({ since: 'main' }), [ui, forms]);
+
+    assert.deepStrictEqual(changes.shared, []);
+    assert.strictEqual(isAffected(changes, ui), true);
+    assert.strictEqual(isAffected(changes, forms), false);
+    git('checkout', '-q', '--', '.');
+  });
+
+  it('counts new untracked files', () => {
+    writeFile('packages/forms/src/Input.stories.tsx', 'export default {};');
+    const changes = withSharedChanges(getChangeSet({ since: 'main' }), [ui, forms]);
+
+    assert.strictEqual(isAffected(changes, forms), true);
+    assert.strictEqual(isAffected(changes, ui), false);
+    fs.rmSync(path.join(forms, 'src/Input.stories.tsx'));
+  });
+
+  it('treats a change outside every Storybook as shared', () => {
+    writeFile('package-lock.json', '{ "lockfileVersion": 3 }');
+    writeFile('.storybook/preview.ts', 'export default {};');
+    const changes = withSharedChanges(getChangeSet({ since: 'main' }), [ui, forms]);
+
+    assert.deepStrictEqual(changes.shared.sort(), [path.join(repo, '.storybook/preview.ts'), path.join(repo, 'package-lock.json')]);
+    git('checkout', '-q', '--', '.');
+    fs.rmSync(path.join(repo, '.storybook'), { recursive: true });
+  });
+
+  it('has no shared changes when a Storybook covers the whole repository', () => {
+    writeFile('package-lock.json', '{ "lockfileVersion": 3 }');
+    const changes = withSharedChanges(getChangeSet({ since: 'main' }), [repo]);
+
+    assert.deepStrictEqual(changes.shared, []);
+    assert.strictEqual(isAffected(changes, repo), true);
+    git('checkout', '-q', '--', '.');
+  });
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const { getAliasHistory, rollbackAlias } = require('../lib/aliases.js');
+const { listDeployments } = require('../lib/deployments.js');
+const { UsageError } = require('../lib/errors.js');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, success() {} };
+const options = { logger: silentLogger, retry: { maxAttempts: 1 } };
+
+/**
+ * Builds an API client that answers every GET with the given body.
+ * @param {*} data The response body.
+ * @returns {{get: Function}} The client.
+ */
+function clientReturning(data) {
+  return { get: async () => ({ data }) };
+}
+
+describe('history sorting', () => {
+  it('lists deployments by date, newest first, with undated ones last', async () => {
+    const deployments = await listDeployments(clientReturning([
+      { version: 'undated' },
+      { version: 'v1', createdAt: '2026-01-05T10:00:00Z' },
+      { version: 'v3', createdAt: '2026-03-01T09:00:00+02:00' },
+      { version: 'broken', createdAt: 'yesterday' },
+      { version: 'v2', createdAt: '2026-02-10T00:00:00Z' },
+    ]), 'ui', options);
+
+    assert.deepStrictEqual(deployments.map(deployment => deployment.version), ['v3', 'v2', 'v1', 'undated', 'broken']);
+  });
+
+  it('orders alias history by parsed date rather than text', async () => {
+    const history = await getAliasHistory(clientReturning([
+      { version: 'pr-1', promotedAt: null },
+      { version: 'pr-2', promotedAt: '2026-04-01T08:00:00Z' },
+      // Later than pr-2 once the offset is applied, though it sorts earlier as text
+      { version: 'pr-3', promotedAt: '2026-04-01T07:00:00-02:00' },
+    ]), 'ui', 'production', options);
+
+    assert.deepStrictEqual(history.map(entry => entry.version), ['pr-3', 'pr-2', 'pr-1']);
+  });
+});
+
+describe('rollbackAlias', () => {
+  it('is a usage error when the alias has no history', async () => {
+    await assert.rejects(rollbackAlias(clientReturning([]), 'ui', 'production', options), (error) => {
+      assert.ok(error instanceof UsageError);
+      assert.strictEqual(error.code, 'USAGE_ERROR');
+      return true;
+    });
+  });
+
+  it('is a usage error when every earlier version was already rolled back', async () => {
+    const history = [
+      { version: 'pr-1', promotedAt: '2026-04-01T08:00:00Z' },
+      { version: 'pr-2', promotedAt: '2026-04-02T08:00:00Z' },
+      { version: 'pr-1', promotedAt: '2026-04-03T08:00:00Z', rollback: true },
+    ];
+    await assert.rejects(rollbackAlias(clientReturning(history), 'ui', 'production', options), {
+      code: 'USAGE_ERROR',
+      message: "Alias 'production' has no version before 'pr-1' to roll back to",
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const {
+  isStoryFile,
+  isDocsFile,
+  findStoryFiles,
+  findDocsFiles,
+  crawlStories,
+  crawlStoryIndex,
+  analyzeStorybook,
+} = require('../lib/analysis.js');
+const { readStoryIndex } = require('../lib/storyIndex.js');
+const { FileSystemError } = require('../lib/errors.js');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, success() {} };
+
+/**
+ * Writes a file, creating its directory.
+ * @param {string} filePath The file path.
+ * @param {string} content The content.
+ */
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+describe('story and docs file names', () => {
+  it('only treats .stories.* scripts as story files', () => {
+    assert.strictEqual(isStoryFile('Button.stories.tsx'), true);
+    assert.strictEqual(isStoryFile('Button.stories.mjs'), true);
+    assert.strictEqual(isStoryFile('Button.tsx'), false);
+    assert.strictEqual(isStoryFile('Introduction.mdx'), false);
+    assert.strictEqual(isStoryFile('Button.stories.mdx'), false);
+  });
+
+  it('treats every .mdx file as a possible docs page', () => {
+    assert.strictEqual(isDocsFile('Introduction.mdx'), true);
+    assert.strictEqual(isDocsFile('Button.stories.mdx'), true);
+    assert.strictEqual(isDocsFile('Button.stories.tsx'), false);
+  });
+});
+
+describe('story collection', () => {
+  let originalCwd;
+  let workDir;
+  let warnings;
+
+  before(() => {
+    originalCwd = process.cwd();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storybook-deployer-analysis-'));
+    process.chdir(workDir);
+
+    writeFile('src/Button.tsx', 'export const Button = ({ label }: { label: string }) => <button>{label}</button>;\n');
+    writeFile('src/helpers.ts', 'export const noop = () => {};\n');
+    writeFile('src/Button.stories.tsx', [
+      "import { Button } from './Button';",
+      '',
+      "export default { title: 'Forms/Button', component: Button };",
+      '',
+      "export const Primary = { args: { label: 'Save' } };",
+      '',
+      "export const Secondary = { args: { label: 'Cancel' } };",
+      '',
+    ].join('\n'));
+    writeFile('src/Introduction.mdx', [
+      "import { Meta, Canvas } from '@storybook/blocks';",
+      "import * as ButtonStories from './Button.stories';",
+      '',
+      '<Meta of={ButtonStories} />',
+      '',
+      '# Buttons',
+      '',
+      '<Canvas of={ButtonStories.Primary} />',
+      '',
+    ].join('\n'));
+    writeFile('src/CHANGELOG.mdx', '# Changelog\n\nNot a Storybook page.\n');
+    writeFile('node_modules/lib/Hidden.stories.tsx', "export default { title: 'Hidden' };\nexport const Story = {};\n");
+
+    writeFile('storybook-static/index.json', JSON.stringify({
+      v: 5,
+      entries: {
+        'forms-button--docs': {
+          type: 'docs', id: 'forms-button--docs', name: 'Docs', title: 'Forms/Button',
+          importPath: './src/Introduction.mdx', tags: ['attached-mdx'],
+        },
+        'forms-button--primary': {
+          type: 'story', id: 'forms-button--primary', name: 'Primary', title: 'Forms/Button',
+          importPath: './src/Button.stories.tsx', exportName: 'Primary', tags: ['dev', 'test'],
+        },
+        'forms-button--removed': {
+          type: 'story', id: 'forms-button--removed', name: 'Removed', title: 'Forms/Button',
+          importPath: './src/Button.stories.tsx', exportName: 'Removed', tags: ['dev'],
+        },
+      },
+    }));
+  });
+
+  after(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    warnings = [];
+    mock.method(console, 'warn', message => warnings.push(message));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('finds story files but not components or MDX', () => {
+    assert.deepStrictEqual(findStoryFiles('src', [], silentLogger), [path.join('src', 'Button.stories.tsx')]);
+  });
+
+  it('finds MDX files separately', () => {
+    assert.deepStrictEqual(findDocsFiles('src').sort(), [path.join('src', 'CHANGELOG.mdx'), path.join('src', 'Introduction.mdx')]);
+  });
+
+  it('crawls stories and Storybook docs pages from the source files', () => {
+    const entries = crawlStories('src', silentLogger);
+
+    assert.deepStrictEqual(entries.map(entry => [entry.kind, entry.storyTitle, entry.testName]), [
+      ['story', 'Forms/Button', 'Primary'],
+      ['story', 'Forms/Button', 'Secondary'],
+      ['docs', 'Forms/Button', 'Docs'],
+    ]);
+    const docs = entries[2];
+    assert.strictEqual(docs.attachedTo, path.join('src', 'Button.stories.tsx'));
+    assert.deepStrictEqual(docs.references, [{ filepath: path.join('src', 'Button.stories.tsx'), testName: 'Primary', block: 'Canvas', line: 8 }]);
+    assert.strictEqual(entries[0].componentPath, path.join('src', 'Button.tsx'));
+  });
+
+  it('joins the story index with the source files', () => {
+    const entries = crawlStoryIndex(readStoryIndex('storybook-static'), 'storybook-static');
+
+    assert.deepStrictEqual(entries.map(entry => entry.id), ['forms-button--docs', 'forms-button--primary', 'forms-button--removed']);
+    const [docs, primary, removed] = entries;
+    assert.deepStrictEqual(docs.headings, [{ depth: 1, text: 'Buttons', line: 6 }]);
+    assert.strictEqual(docs.attachedTo, path.join('src', 'Button.stories.tsx'));
+    assert.deepStrictEqual(primary.location, { startLine: 5, endLine: 5 });
+    assert.deepStrictEqual(primary.args, { label: 'Save' });
+    // The index's resolved tags win over those in the file
+    assert.deepStrictEqual(primary.tags, ['dev', 'test']);
+    assert.strictEqual(primary.filepath, path.join('src', 'Button.stories.tsx'));
+    assert.strictEqual(removed.location, null);
+    assert.deepStrictEqual(warnings, ['⚠️  1 indexed story not found in the story files (no location recorded)']);
+  });
+
+  it('prefers the story index of the build', async () => {
+    const results = await analyzeStorybook({ storiesDir: 'src', storybookDir: 'storybook-static', componentDocs: false, logger: silentLogger });
+
+    assert.strictEqual(results.summary.storyIndex, 'index.json');
+    assert.strictEqual(results.summary.totalStories, 2);
+    assert.strictEqual(results.summary.docsPages, 1);
+  });
+
+  it('scans the source files when asked to', async () => {
+    const results = await analyzeStorybook({ storySource: 'source', storiesDir: 'src', storybookDir: 'storybook-static', componentDocs: false, logger: silentLogger });
+
+    assert.strictEqual(results.summary.storyIndex, null);
+    assert.deepStrictEqual(results.stories.map(story => story.testName), ['Primary', 'Secondary', 'Docs']);
+  });
+
+  it('falls back to the source files when the build has no index', async () => {
+    const results = await analyzeStorybook({ storiesDir: 'src', storybookDir: 'src', componentDocs: false, logger: silentLogger });
+
+    assert.strictEqual(results.summary.storyIndex, null);
+    assert.strictEqual(results.summary.totalStories, 2);
+  });
+
+  it('requires an index when the story source is index', async () => {
+    await assert.rejects(
+      analyzeStorybook({ storySource: 'index', storiesDir: 'src', storybookDir: 'src', componentDocs: false, logger: silentLogger }),
+      FileSystemError
+    );
+  });
+});
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { detectCiContext, getCiMetadata } = require('../lib/ci.js');
+const { inferVersionFromTemplate } = require('../lib/versionTemplate.js');
+
+// Each fixture holds the environment of a CI build, the context detected from it and the version inferred by default
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'ci');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => ({ name: path.basename(file, '.json'), ...JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')) }));
+
+describe('detectCiContext', () => {
+  fixtures.forEach(fixture => {
+    it(`reads the ${fixture.name} environment`, () => {
+      assert.deepStrictEqual(detectCiContext(fixture.env), fixture.context);
+    });
+  });
+
+  it('returns null outside CI', () => {
+    assert.strictEqual(detectCiContext({ HOME: '/home/runner', BRANCH_NAME: 'main' }), null);
+  });
+});
+
+describe('getCiMetadata', () => {
+  fixtures.forEach(fixture => {
+    it(`describes the ${fixture.name} build without variable names`, () => {
+      const { variables, ...metadata } = fixture.context;
+      assert.deepStrictEqual(getCiMetadata(fixture.env), metadata);
+    });
+  });
+
+  it('returns null outside CI', () => {
+    assert.strictEqual(getCiMetadata({}), null);
+  });
+});
+
+describe('version inference', () => {
+  fixtures.forEach(fixture => {
+    it(`names the ${fixture.name} build ${fixture.version}`, () => {
+      const inferred = inferVersionFromTemplate(null, { ci: detectCiContext(fixture.env), maxLength: 63 });
+      assert.strictEqual(inferred.version, fixture.version);
+    });
+  });
+});
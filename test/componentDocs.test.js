@@ -0,0 +1,104 @@
+const assert = require('assert');
+const Module = require('module');
+const path = require('path');
+const { describe, it, afterEach, mock } = require('node:test');
+const { extractComponentDocs, resolveImportPath } = require('../lib/componentDocs.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'components');
+const button = { componentName: 'Button', componentPath: path.join(FIXTURES_DIR, 'Button.tsx') };
+const badge = { componentName: 'Badge', componentPath: path.join(FIXTURES_DIR, 'Badge.vue') };
+const broken = { componentName: 'Broken', componentPath: path.join(FIXTURES_DIR, 'Broken.vue') };
+
+/**
+ * Records console.warn calls instead of printing them.
+ * @returns {string[]} The warnings.
+ */
+function captureWarnings() {
+  const warnings = [];
+  mock.method(console, 'warn', message => warnings.push(message));
+  return warnings;
+}
+
+describe('extractComponentDocs', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reads the props of a React component', async () => {
+    const [doc] = await extractComponentDocs([button, button]);
+
+    assert.deepStrictEqual(doc, {
+      name: 'Button',
+      filepath: button.componentPath,
+      framework: 'react',
+      displayName: 'Button',
+      description: 'A clickable button.',
+      props: [
+        { name: 'label', type: 'string', required: true, defaultValue: null, description: 'Text shown on the button' },
+        { name: 'variant', type: '"primary" | "secondary"', required: false, defaultValue: 'primary', description: 'Visual style of the button' },
+        { name: 'onClick', type: '() => void', required: false, defaultValue: null, description: 'Called when the button is clicked' },
+      ],
+    });
+  });
+
+  it('reads the props of a Vue component', async () => {
+    const [doc] = await extractComponentDocs([badge]);
+
+    assert.deepStrictEqual(doc, {
+      name: 'Badge',
+      filepath: badge.componentPath,
+      framework: 'vue',
+      displayName: 'Badge',
+      description: 'A short status label.',
+      props: [
+        { name: 'text', type: 'string', required: true, defaultValue: null, description: 'Text of the badge' },
+        { name: 'tone', type: 'string', required: false, defaultValue: "'neutral'", description: 'Color of the badge' },
+      ],
+    });
+  });
+
+  it('drops a component it cannot parse with a warning', async () => {
+    const warnings = captureWarnings();
+    const docs = await extractComponentDocs([broken, badge]);
+
+    assert.deepStrictEqual(docs.map(doc => doc.name), ['Badge']);
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /Could not read the props of .*Broken\.vue/);
+  });
+
+  it('skips React components with a warning when typescript is not installed', async () => {
+    const load = Module._load;
+    mock.method(Module, '_load', function (request, ...rest) {
+      if (request === 'typescript') {
+        throw Object.assign(new Error("Cannot find module 'typescript'"), { code: 'MODULE_NOT_FOUND' });
+      }
+      return load.call(this, request, ...rest);
+    });
+    const warnings = captureWarnings();
+    const docs = await extractComponentDocs([button, badge]);
+
+    assert.deepStrictEqual(docs.map(doc => doc.name), ['Badge']);
+    assert.deepStrictEqual(warnings, ['⚠️  Skipped the props of 1 React component file(s): install typescript to extract them']);
+  });
+
+  it('ignores stories without a component file', async () => {
+    assert.deepStrictEqual(await extractComponentDocs([{ componentName: 'Button', componentPath: null }]), []);
+  });
+});
+
+describe('resolveImportPath', () => {
+  const storyFile = path.join(FIXTURES_DIR, 'Button.stories.tsx');
+
+  it('adds the missing extension', () => {
+    assert.strictEqual(resolveImportPath(storyFile, './Button'), button.componentPath);
+  });
+
+  it('maps a .js import to the TypeScript source', () => {
+    assert.strictEqual(resolveImportPath(storyFile, './Button.js'), button.componentPath);
+  });
+
+  it('does not resolve packages or missing files', () => {
+    assert.strictEqual(resolveImportPath(storyFile, '@acme/ui'), null);
+    assert.strictEqual(resolveImportPath(storyFile, './Missing'), null);
+  });
+});
@@ -0,0 +1,117 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const { runDeployment } = require('../lib/deploy.js');
+const { DEFAULT_CONFIG } = require('../lib/config.js');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, success() {} };
+
+/**
+ * Runs git in the current directory with a fixed identity.
+ * @param {...string} args The git arguments.
+ */
+function git(...args) {
+  execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { stdio: 'ignore' });
+}
+
+/**
+ * Replaces the API client with one that records its requests.
+ * Incremental uploads find every blob already stored, so only the manifest is uploaded.
+ * @param {object} [options] Client options.
+ * @param {number} [options.deleteStatus] Status of a failed alias deletion.
+ * @returns {Array<{method: string, url: string, body: object}>} The recorded requests.
+ */
+function mockApiClient({ deleteStatus } = {}) {
+  const requests = [];
+  const record = (method, answer) => async (url, body) => {
+    requests.push({ method, url, body });
+    return answer(url, body);
+  };
+  mock.method(axios, 'create', () => ({
+    get: record('get', () => ({ data: { version: 'main' } })),
+    put: record('put', (url, body) => ({ data: { version: body.version } })),
+    post: record('post', url => ({ data: url.endsWith('/missing') ? { missing: [] } : { url: 'https://storage.example.com/manifest.json' } })),
+    delete: record('delete', () => {
+      if (deleteStatus) {
+        throw Object.assign(new Error(`Request failed with status code ${deleteStatus}`), { response: { status: deleteStatus } });
+      }
+      return { data: {} };
+    }),
+  }));
+  mock.method(axios, 'put', async () => ({ status: 200, headers: {} }));
+  return requests;
+}
+
+describe('runDeployment with --since', () => {
+  let originalCwd;
+  let repo;
+  let config;
+
+  before(() => {
+    originalCwd = process.cwd();
+    repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'storybook-deployer-deploy-')));
+    process.chdir(repo);
+
+    fs.mkdirSync('storybook-static');
+    fs.writeFileSync('storybook-static/index.html', '<html></html>');
+    git('init', '-q', '-b', 'main');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'initial');
+    git('checkout', '-q', '-b', 'feature');
+
+    config = {
+      ...DEFAULT_CONFIG,
+      dir: 'storybook-static',
+      apiUrl: 'https://api.example.com',
+      project: 'ui',
+      version: 'pr-42',
+      since: 'main',
+      incremental: true,
+      retryAttempts: 1,
+    };
+  });
+
+  after(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    git('checkout', '-q', '--', '.');
+  });
+
+  it('aliases an unchanged Storybook to the base version', async () => {
+    const requests = mockApiClient();
+    const result = await runDeployment(config, { logger: silentLogger, quiet: true });
+
+    assert.strictEqual(result.skipped, true);
+    assert.strictEqual(result.aliasOf, 'main');
+    assert.deepStrictEqual(requests.filter(request => request.method === 'put'), [
+      { method: 'put', url: '/aliases/ui/pr-42', body: { version: 'main' } },
+    ]);
+  });
+
+  it('removes the alias of the same name once the version is deployed for real', async () => {
+    fs.writeFileSync('storybook-static/index.html', '<html>changed</html>');
+    const requests = mockApiClient();
+    const result = await runDeployment(config, { logger: silentLogger, quiet: true });
+
+    assert.strictEqual(result.skipped, undefined);
+    assert.strictEqual(result.upload.mode, 'incremental');
+    assert.deepStrictEqual(requests.at(-1), { method: 'delete', url: '/aliases/ui/pr-42', body: undefined });
+  });
+
+  it('still succeeds when the alias cannot be removed', async () => {
+    fs.writeFileSync('storybook-static/index.html', '<html>changed</html>');
+    const requests = mockApiClient({ deleteStatus: 405 });
+    const result = await runDeployment(config, { logger: silentLogger, quiet: true });
+
+    assert.strictEqual(result.upload.mode, 'incremental');
+    assert.strictEqual(requests.at(-1).method, 'delete');
+  });
+});
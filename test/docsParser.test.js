@@ -0,0 +1,24 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { parseDocsFile } = require('../lib/docsParser.js');
+
+// Each MDX page is paired with a JSON file of the same name holding what parseDocsFile returns for it
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'docs');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.mdx'))
+  .map(file => ({
+    file,
+    content: fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'),
+    expected: JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${path.basename(file, '.mdx')}.json`), 'utf8')),
+  }));
+
+describe('parseDocsFile', () => {
+  fixtures.forEach(fixture => {
+    it(`parses ${fixture.file}`, () => {
+      assert.deepStrictEqual(parseDocsFile(fixture.content), fixture.expected);
+    });
+  });
+});
@@ -0,0 +1,17 @@
+import React from 'react';
+
+export interface ButtonProps {
+  /** Text shown on the button */
+  label: string;
+  /** Visual style of the button */
+  variant?: 'primary' | 'secondary';
+  /** Called when the button is clicked */
+  onClick?: () => void;
+}
+
+/**
+ * A clickable button.
+ */
+export const Button = ({ label, variant = 'primary', onClick }: ButtonProps) => (
+  <button className={variant} onClick={onClick}>{label}</button>
+);
@@ -0,0 +1,20 @@
+import React from 'react';
+import { Badge } from './Badge';
+
+export default {
+  title: 'Status/Badge',
+  component: Badge,
+};
+
+const Template = (args) => <Badge {...args} />;
+
+export const Success = Template.bind({});
+Success.args = {
+  tone: 'success',
+  children: 'Done',
+};
+Success.parameters = { layout: 'centered' };
+
+export const Warning = Template.bind({});
+Warning.args = { tone: 'warning' };
+Warning.storyName = 'Needs attention';
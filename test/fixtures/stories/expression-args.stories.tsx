@@ -0,0 +1,18 @@
+import { fn } from '@storybook/test';
+import { DatePicker } from './DatePicker';
+
+const today = new Date();
+
+export default {
+  title: 'Inputs/DatePicker',
+  component: DatePicker,
+};
+
+export const Controlled = {
+  args: {
+    value: today,
+    onChange: fn(),
+    locale: navigator.language,
+    label: 'Start date',
+  },
+};
@@ -0,0 +1,13 @@
+import { Tooltip } from './Tooltip';
+
+export default {
+  title: 'Overlays/Tooltip',
+  component: Tooltip,
+  excludeStories: /.*Data$/,
+};
+
+export const tooltipData = { text: 'Hint' };
+
+export const Hover = { args: { text: 'Hint' } };
+
+export const Focus = { args: { text: 'Hint', trigger: 'focus' } };
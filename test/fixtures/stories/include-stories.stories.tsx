@@ -0,0 +1,13 @@
+import { Tabs } from './Tabs';
+
+export default {
+  title: 'Navigation/Tabs',
+  component: Tabs,
+  includeStories: ['Horizontal', 'Vertical'],
+};
+
+export const Horizontal = {};
+
+export const Vertical = { args: { orientation: 'vertical' } };
+
+export const helperTabs = ['One', 'Two'];
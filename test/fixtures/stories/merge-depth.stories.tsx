@@ -0,0 +1,15 @@
+import { Modal } from './Modal';
+
+export default {
+  title: 'Overlays/Modal',
+  component: Modal,
+  args: { open: true, options: { closeOnEscape: true, closeOnBlur: true } },
+  argTypes: { size: { control: 'select', options: ['sm', 'lg'] } },
+  parameters: { layout: 'fullscreen', backgrounds: { default: 'dark', grid: { cellSize: 20 } } },
+};
+
+export const Small = {
+  args: { options: { closeOnBlur: false } },
+  argTypes: { size: { control: 'radio' } },
+  parameters: { backgrounds: { grid: { opacity: 0.5 } } },
+};
@@ -0,0 +1,11 @@
+import { Avatar } from './Avatar';
+
+export default {
+  title: 'People/Avatar',
+  component: Avatar,
+  args: { size: 32 },
+};
+
+export { Small, Large as Big } from './Avatar.shared';
+
+export const Rounded = { args: { rounded: true } };
@@ -0,0 +1,19 @@
+import type { Meta, StoryObj } from '@storybook/react';
+import { Button } from './Button';
+
+const meta = {
+  title: 'Forms/Button',
+  component: Button,
+  args: { size: 'medium' },
+} satisfies Meta<typeof Button>;
+
+export default meta;
+type Story = StoryObj<typeof meta>;
+
+export const Primary = {
+  args: { primary: true, label: 'Save' },
+} satisfies Story;
+
+export const Secondary = {
+  args: { label: 'Cancel' },
+} as Story;
@@ -0,0 +1,16 @@
+import { Card } from '../components/Card';
+
+const cardMeta = {
+  title: 'Layout/Card',
+  component: Card,
+  tags: ['autodocs'],
+};
+
+export default cardMeta;
+
+export const Default = {};
+
+export const WithTitle = {
+  args: { title: 'Hello' },
+  tags: ['new'],
+};
@@ -0,0 +1,8 @@
+import React from 'react';
+import { storiesOf } from '@storybook/react';
+import { Alert } from './Alert';
+
+storiesOf('Feedback/Alert', module)
+  .addParameters({ component: Alert })
+  .add('Info', () => <Alert tone="info">Heads up</Alert>)
+  .add('Error', () => <Alert tone="error">Failed</Alert>, { notes: 'Shown on failures' });
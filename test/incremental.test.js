@@ -0,0 +1,102 @@
+const assert = require('assert');
+const axios = require('axios');
+const crypto = require('crypto');
+const { describe, it, afterEach, mock } = require('node:test');
+const { deployIncremental } = require('../lib/incremental.js');
+const { ApiError, UploadError, IncrementalNotSupportedError } = require('../lib/errors.js');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, success() {} };
+const sources = { files: [{ name: 'index.html', data: '<html></html>' }] };
+
+/**
+ * Builds an API client whose blob check fails with the given response.
+ * @param {object} response The error response of the blob check.
+ * @returns {{post: Function}} The client.
+ */
+function rejectingClient(response) {
+  return {
+    post: async () => {
+      throw Object.assign(new Error(`Request failed with status code ${response.status}`), { response });
+    },
+  };
+}
+
+/**
+ * Builds an API client that reports every blob as missing.
+ * @returns {{post: Function}} The client.
+ */
+function blobClient() {
+  return {
+    post: async (url, body) => {
+      if (url.endsWith('/missing')) {
+        return { data: { missing: body.hashes } };
+      }
+      return { data: { url: `https://storage.example.com${url}` } };
+    },
+  };
+}
+
+const deploy = client => deployIncremental(client, { project: 'ui', version: 'pr-1' }, sources, {
+  logger: silentLogger,
+  retry: { maxAttempts: 1 },
+});
+
+describe('deployIncremental blob check', () => {
+  it('treats 501 as not supported', async () => {
+    await assert.rejects(deploy(rejectingClient({ status: 501, statusText: 'Not Implemented' })), IncrementalNotSupportedError);
+  });
+
+  it('treats a 404 marked as an unknown endpoint as not supported', async () => {
+    const response = { status: 404, statusText: 'Not Found', data: { code: 'ENDPOINT_NOT_FOUND' } };
+    await assert.rejects(deploy(rejectingClient(response)), IncrementalNotSupportedError);
+  });
+
+  it('fails on any other 404', async () => {
+    const response = { status: 404, statusText: 'Not Found', data: { error: 'Project not found' } };
+    await assert.rejects(deploy(rejectingClient(response)), (error) => {
+      assert.ok(error instanceof ApiError);
+      assert.ok(!(error instanceof IncrementalNotSupportedError));
+      assert.strictEqual(error.statusCode, 404);
+      return true;
+    });
+  });
+});
+
+describe('deployIncremental blob uploads', () => {
+  const expectedChecksum = crypto.createHash('sha256').update('<html></html>').digest('base64');
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('sends the SHA-256 of each blob', async () => {
+    const headers = [];
+    mock.method(axios, 'put', async (url, body, config) => {
+      headers.push(config.headers);
+      return { status: 200, headers: {} };
+    });
+
+    await deploy(blobClient());
+    assert.strictEqual(headers[0]['x-amz-checksum-sha256'], expectedChecksum);
+    assert.strictEqual(headers[0]['Content-Type'], 'application/octet-stream');
+  });
+
+  it('fails when the storage backend echoes a different checksum', async () => {
+    mock.method(axios, 'put', async () => ({
+      status: 200,
+      headers: { 'x-amz-checksum-sha256': crypto.createHash('sha256').update('other').digest('base64') },
+    }));
+
+    await assert.rejects(deploy(blobClient()), UploadError);
+  });
+
+  it('fails when the storage backend rejects the checksum', async () => {
+    mock.method(axios, 'put', async () => {
+      throw Object.assign(new Error('Request failed with status code 400'), {
+        response: { status: 400, statusText: 'Bad Request', data: '<Code>XAmzContentChecksumMismatch</Code>' },
+      });
+    });
+
+    await assert.rejects(deploy(blobClient()), /Checksum mismatch \(XAmzContentChecksumMismatch\)/);
+  });
+});
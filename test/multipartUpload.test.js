@@ -0,0 +1,143 @@
+const assert = require('assert');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const { uploadFileMultipart, MIN_PART_SIZE } = require('../lib/multipartUpload.js');
+const { computeFileChecksums } = require('../lib/checksum.js');
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, success() {} };
+const statePath = stateDir => path.join(stateDir, 'ui-pr-1.json');
+
+/**
+ * Builds an API client whose multipart endpoints answer from memory.
+ * @param {object} [options] Client options.
+ * @param {string} [options.uploadId] The ID handed out for new uploads.
+ * @param {string[]} [options.staleIds] Upload IDs the service answers with a 404.
+ * @returns {{post: Function, calls: Array<{url: string, body: object}>}} The client.
+ */
+function createClient({ uploadId = 'fresh-upload', staleIds = [] } = {}) {
+  const calls = [];
+  const post = async (url, body) => {
+    calls.push({ url, body });
+    if (body.uploadId && staleIds.includes(body.uploadId)) {
+      throw Object.assign(new Error('Not Found'), { response: { status: 404, statusText: 'Not Found' } });
+    }
+    if (url.endsWith('/part-url')) {
+      return { data: { url: `https://storage.example.com/${body.uploadId}/${body.partNumber}` } };
+    }
+    if (url.endsWith('/complete')) {
+      return { status: 200, data: {} };
+    }
+    return { data: { uploadId } };
+  };
+  return { post, calls };
+}
+
+describe('uploadFileMultipart', () => {
+  let workDir;
+  let stateDir;
+  let filePath;
+  let checksums;
+  let putUrls;
+
+  before(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storybook-deployer-multipart-'));
+    filePath = path.join(workDir, 'storybook.zip');
+    // Two parts: one full part and a short last part
+    fs.writeFileSync(filePath, Buffer.alloc(MIN_PART_SIZE + 1024, 1));
+    checksums = await computeFileChecksums(filePath);
+  });
+
+  after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    stateDir = fs.mkdtempSync(path.join(workDir, 'state-'));
+    putUrls = [];
+    mock.method(axios, 'put', async (url) => {
+      putUrls.push(url);
+      return { status: 200, headers: { etag: `"${url.split('/').pop()}"` } };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const upload = client => uploadFileMultipart(client, { project: 'ui', version: 'pr-1' }, filePath, {
+    partSize: MIN_PART_SIZE,
+    logger: silentLogger,
+    retry: { maxAttempts: 1 },
+    stateDir,
+    checksums,
+  });
+
+  const saveState = (uploadId, parts) => {
+    fs.writeFileSync(statePath(stateDir), JSON.stringify({
+      uploadId,
+      fingerprint: checksums.sha256,
+      fileSize: MIN_PART_SIZE + 1024,
+      partSize: MIN_PART_SIZE,
+      parts,
+    }));
+  };
+
+  it('uploads every part and removes its state', async () => {
+    const client = createClient();
+    const result = await upload(client);
+
+    assert.strictEqual(result.uploadId, 'fresh-upload');
+    assert.deepStrictEqual(putUrls, ['https://storage.example.com/fresh-upload/1', 'https://storage.example.com/fresh-upload/2']);
+    assert.strictEqual(fs.existsSync(statePath(stateDir)), false);
+  });
+
+  it('resumes a saved upload and only sends the missing parts', async () => {
+    saveState('saved-upload', { 1: '"1"' });
+    const client = createClient();
+    const result = await upload(client);
+
+    assert.strictEqual(result.uploadId, 'saved-upload');
+    assert.deepStrictEqual(client.calls.map(call => call.url), [
+      '/multipart/ui/pr-1/storybook.zip/part-url',
+      '/multipart/ui/pr-1/storybook.zip/complete',
+    ]);
+    assert.deepStrictEqual(putUrls, ['https://storage.example.com/saved-upload/2']);
+    assert.deepStrictEqual(client.calls[1].body.parts, [{ partNumber: 1, etag: '"1"' }, { partNumber: 2, etag: '"2"' }]);
+    assert.strictEqual(fs.existsSync(statePath(stateDir)), false);
+  });
+
+  it('starts a new upload when the service no longer knows the saved part upload', async () => {
+    saveState('expired-upload', { 1: '"1"' });
+    const client = createClient({ staleIds: ['expired-upload'] });
+    const result = await upload(client);
+
+    assert.strictEqual(result.uploadId, 'fresh-upload');
+    assert.deepStrictEqual(putUrls, ['https://storage.example.com/fresh-upload/1', 'https://storage.example.com/fresh-upload/2']);
+    assert.deepStrictEqual(client.calls.at(-1).body, {
+      uploadId: 'fresh-upload',
+      parts: [{ partNumber: 1, etag: '"1"' }, { partNumber: 2, etag: '"2"' }],
+    });
+    assert.strictEqual(fs.existsSync(statePath(stateDir)), false);
+  });
+
+  it('starts a new upload when completing the saved upload is rejected', async () => {
+    saveState('expired-upload', { 1: '"1"', 2: '"2"' });
+    const client = createClient({ staleIds: ['expired-upload'] });
+    const result = await upload(client);
+
+    assert.strictEqual(result.uploadId, 'fresh-upload');
+    assert.strictEqual(client.calls[0].url, '/multipart/ui/pr-1/storybook.zip/complete');
+    assert.strictEqual(putUrls.length, 2);
+    assert.strictEqual(fs.existsSync(statePath(stateDir)), false);
+  });
+
+  it('keeps the state when a new upload fails', async () => {
+    const client = createClient({ uploadId: 'new-upload', staleIds: ['new-upload'] });
+
+    await assert.rejects(upload(client), { code: 'API_ERROR', statusCode: 404 });
+    assert.strictEqual(fs.existsSync(statePath(stateDir)), true);
+  });
+});
@@ -0,0 +1,84 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const { resolveProjects } = require('../lib/projects.js');
+const { DEFAULT_CONFIG } = require('../lib/config.js');
+const { ConfigError } = require('../lib/errors.js');
+
+/**
+ * Writes a file, creating its directory.
+ * @param {string} filePath The file path.
+ * @param {string} content The content.
+ */
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+const sharedConfig = { ...DEFAULT_CONFIG, dir: 'storybook-static', project: 'shared', version: 'pr-1' };
+
+describe('resolveProjects with listed projects', () => {
+  it('gives each entry its own project', () => {
+    const projects = resolveProjects({
+      ...sharedConfig,
+      projects: [
+        { dir: 'packages/ui/storybook-static', project: 'ui' },
+        { name: 'forms', dir: 'packages/forms/storybook-static', project: 'forms' },
+      ],
+    });
+    assert.deepStrictEqual(projects.map(project => [project.name, project.config.project, project.root]), [
+      ['ui', 'ui', 'packages/ui'],
+      ['forms', 'forms', 'packages/forms'],
+    ]);
+  });
+
+  it('rejects an entry without a project instead of using the shared one', () => {
+    assert.throws(
+      () => resolveProjects({ ...sharedConfig, projects: [{ name: 'ui', dir: 'packages/ui/storybook-static' }] }),
+      error => error instanceof ConfigError && /'ui' has no 'project'/.test(error.message)
+    );
+  });
+
+  it('rejects two entries that deploy the same project and version', () => {
+    assert.throws(
+      () => resolveProjects({
+        ...sharedConfig,
+        projects: [
+          { name: 'ui', dir: 'packages/ui/storybook-static', project: 'design' },
+          { name: 'forms', dir: 'packages/forms/storybook-static', project: 'design' },
+        ],
+      }),
+      error => error instanceof ConfigError && /'ui' and 'forms' would both deploy to design\/pr-1/.test(error.message)
+    );
+  });
+});
+
+describe('resolveProjects with discovered packages', () => {
+  const cwd = process.cwd();
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'storybook-deployer-'));
+    writeFile(path.join(root, 'package.json'), JSON.stringify({ private: true, workspaces: ['packages/*'] }));
+    writeFile(path.join(root, 'packages/ui/package.json'), JSON.stringify({ name: '@acme/ui' }));
+    writeFile(path.join(root, 'packages/ui/storybook-static/index.html'), '');
+    writeFile(path.join(root, 'packages/forms/package.json'), JSON.stringify({ name: '@acme/forms', storybookDeployer: { project: 'forms-id' } }));
+    writeFile(path.join(root, 'packages/forms/storybook-static/index.html'), '');
+    process.chdir(root);
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('names the project after the package unless the package sets one', () => {
+    const projects = resolveProjects({ ...sharedConfig, discoverProjects: true });
+    assert.deepStrictEqual(projects.map(project => [project.name, project.config.project]), [
+      ['@acme/forms', 'forms-id'],
+      ['@acme/ui', 'acme-ui'],
+    ]);
+  });
+});
@@ -0,0 +1,29 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { parseStoryFile } = require('../lib/storyParser.js');
+
+// Each story file is paired with a JSON file of the same name holding what parseStoryFile returns for it
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'stories');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.includes('.stories.'))
+  .map(file => ({
+    name: file.split('.stories.')[0],
+    file,
+    content: fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'),
+    expected: JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${file.split('.stories.')[0]}.json`), 'utf8')),
+  }));
+
+describe('parseStoryFile', () => {
+  fixtures.forEach(fixture => {
+    it(`parses ${fixture.file}`, () => {
+      assert.deepStrictEqual(parseStoryFile(fixture.content, fixture.file), fixture.expected);
+    });
+  });
+
+  it('throws a SyntaxError for files it cannot parse', () => {
+    assert.throws(() => parseStoryFile('export const Broken = {', 'Broken.stories.tsx'), SyntaxError);
+  });
+});
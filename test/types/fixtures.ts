@@ -0,0 +1,155 @@
+// Compiled with `npm run test:types` to keep index.d.ts in sync with the programmatic API and metadata.json.
+import {
+  deploy,
+  deployProjects,
+  analyze,
+  init,
+  loadConfig,
+  DEFAULT_CONFIG,
+  CONFIG_SCHEMA,
+  AppError,
+  ApiError,
+  ConfigError,
+  ProjectsFailedError,
+  UsageError,
+  DeployerConfig,
+  DeployerConfigFile,
+  ProgressEvent,
+  ProjectConfig,
+  StorybookMetadata,
+  UploadMode,
+} from '../..';
+
+const configFile: DeployerConfigFile = {
+  project: 'design-system',
+  storycapOptions: { parallel: 4, omitBackground: true },
+  versionTemplate: ['pr-{pr}', '{branch}'],
+  storySource: 'index',
+  profiles: {
+    staging: { apiUrl: 'https://staging.example.com' },
+  },
+};
+
+const config: DeployerConfig = loadConfig({ ...configFile, dir: 'storybook-static' }, { argsSource: 'option' });
+const storiesDir: string | null = config.storiesDir;
+const partSize: number = DEFAULT_CONFIG.partSize;
+const parallel: number | undefined = DEFAULT_CONFIG.storycapOptions.parallel;
+const schema: Record<string, unknown> = CONFIG_SCHEMA;
+
+const metadata: StorybookMetadata = {
+  project: 'design-system',
+  version: 'pr-42',
+  timestamp: '2024-01-01T00:00:00.000Z',
+  summary: { totalStories: 1, docsPages: 1, withScreenshots: 1, storyIndex: 'index.json', components: 1 },
+  stories: [
+    {
+      kind: 'story',
+      id: 'example-button--primary',
+      filepath: 'src/Button.stories.tsx',
+      componentName: 'Button',
+      componentPath: 'src/Button.tsx',
+      storyTitle: 'Example/Button',
+      storyName: 'Primary',
+      testName: 'Primary',
+      tags: ['autodocs', '!test'],
+      args: { primary: true, onClick: { $expression: 'fn()' } },
+      parameters: { layout: 'centered' },
+      play: false,
+      location: { startLine: 12, endLine: 16 },
+      screenshotPath: '__screenshots__/Example/Button/Primary.png',
+    },
+    {
+      kind: 'docs',
+      filepath: 'src/Button.mdx',
+      componentName: null,
+      storyTitle: 'Example/Button',
+      testName: 'Docs',
+      attachedTo: 'src/Button.stories.tsx',
+      references: [
+        { filepath: 'src/Button.stories.tsx', testName: 'Primary', block: 'Canvas', line: 7 },
+        { id: 'example-button--secondary', block: 'Story', line: 9 },
+      ],
+      headings: [{ depth: 1, text: 'Button', line: 3 }],
+      location: null,
+      screenshotPath: null,
+    },
+  ],
+  components: [
+    {
+      name: 'Button',
+      filepath: 'src/Button.tsx',
+      framework: 'react',
+      displayName: 'Button',
+      description: '',
+      props: [{ name: 'primary', type: 'boolean', required: false, defaultValue: 'false', description: '' }],
+    },
+  ],
+  integrity: { algorithm: 'sha256', files: { 'metadata.json': 'abc' } },
+  ci: {
+    provider: 'gitlab',
+    name: 'GitLab CI',
+    prNumber: 42,
+    branch: 'feature',
+    tag: null,
+    commitSha: 'abc123',
+    baseBranch: 'main',
+    buildUrl: null,
+  },
+};
+
+// @ts-expect-error docs pages and stories are the only kinds
+const badKind: StorybookMetadata['stories'][number]['kind'] = 'page';
+
+// @ts-expect-error unknown upload mode
+const badMode: UploadMode = 'ftp';
+
+async function useApi(): Promise<void> {
+  const result = await deploy({
+    dir: 'storybook-static',
+    withAnalysis: true,
+    onProgress: (event: ProgressEvent) => {
+      if (event.type === 'upload') {
+        const loaded: number = event.loaded;
+      } else {
+        const step: 'screenshots' | 'analysis' | 'archive' | 'upload' = event.step;
+      }
+    },
+  });
+  const url: string | null = result.urls.deployment;
+  const mode: UploadMode = result.upload.mode;
+  const summary: StorybookMetadata['summary'] | null = result.analysis;
+
+  const analysis = await analyze({ project: 'design-system', version: 'pr-42' });
+  const sha256: string | undefined = analysis.archive ? analysis.archive.sha256 : undefined;
+
+  const projects: ProjectConfig[] = [{ dir: 'packages/ui/storybook-static', project: 'ui' }];
+  try {
+    const { summary: projectSummary } = await deployProjects({
+      projects,
+      concurrency: 2,
+      onProgress: event => event.project.toUpperCase(),
+    });
+    const failed: number = projectSummary.failed;
+  } catch (error) {
+    if (error instanceof ProjectsFailedError) {
+      error.projects.forEach(project => (project.status === 'error' ? project.error.code : project.urls.deployment));
+    }
+  }
+
+  const setup = await init({ project: 'design-system', apiKey: 'key', skipGhSetup: true });
+  const workflows: string[] = setup.workflows;
+
+  try {
+    loadConfig();
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      error.issues.forEach(issue => `${issue.key} from ${issue.source}: ${issue.message}`);
+    } else if (error instanceof ApiError) {
+      const statusCode: number | undefined = error.statusCode;
+    } else if (error instanceof UsageError || error instanceof AppError) {
+      const code: string = error.code;
+    }
+  }
+}
+
+export { config, storiesDir, partSize, parallel, schema, metadata, badKind, badMode, useApi };